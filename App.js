@@ -2,78 +2,737 @@
 import React, { useEffect, useState, createContext, useContext, useRef } from 'react';
 import {
   View, Text, TextInput, TouchableOpacity, StyleSheet, Alert, ScrollView, Switch,
-  Dimensions, Animated, Platform, SafeAreaView, StatusBar
+  Dimensions, Animated, Platform, SafeAreaView, StatusBar, Modal, PanResponder, AppState, Share, AccessibilityInfo, useColorScheme
 } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as Notifications from 'expo-notifications';
+import * as TaskManager from 'expo-task-manager';
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import * as Localization from 'expo-localization';
 import Constants from 'expo-constants';
-import { NavigationContainer, DefaultTheme, DarkTheme } from '@react-navigation/native';
+import { NavigationContainer, DefaultTheme, DarkTheme, createNavigationContainerRef } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { Ionicons } from '@expo/vector-icons';
 import dayjs from 'dayjs';
 import { LineChart } from 'react-native-chart-kit';
 import { LinearGradient } from 'expo-linear-gradient';
+import * as Progress from 'react-native-progress';
+import Svg, { Path, Line, Text as SvgText } from 'react-native-svg';
+import ConfettiCannon from 'react-native-confetti-cannon';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import {
+  STORAGE_KEYS, loadJson, saveJson, runMigrations, takeStorageProblems, getRecoveryInfo, restoreRecoverySlot,
+  profileKey, loadProfiles, deleteProfileData, retireDefaultProfileId
+} from './lib/storage';
+import { weatherAdjustment, manualConditions, createManualProvider, createMockProvider, createFileProvider } from './lib/weather';
+import { LANGUAGES, t, setLanguage, getLanguage, resolveLanguage, formatNumber, formatDay, weekdayInitials } from './lib/i18n';
+import { THEME_MODES, ACCENTS, DEFAULT_ACCENT, DEFAULT_CUSTOM_ACCENT, makeTheme, normalizeHex, hexToRgba } from './lib/theme';
+import { parseTime, describeTimeError, minutesOfDay, timeToDate, timeOfDate, validateSchedule } from './lib/time';
+import {
+  DEFAULT_SYNC_CONFIG, isSyncUrl, loadSyncConfig, saveSyncConfig, diffChanges, applyChanges, queueChanges, pendingChanges,
+  syncProfile, listRemoteProfiles
+} from './lib/sync';
 
 // -------------------- Context --------------------
 const AppContext = createContext();
 function useApp() { return useContext(AppContext); }
 
 // -------------------- Helper Functions --------------------
-const STORAGE_KEYS = {
-  USER: 'HM_userData_v2',
-  INTAKE_LOG: 'HM_intakeLog_v2',
-  SETTINGS: 'HM_settings_v2',
-  NOTIF_IDS: 'HM_notif_ids_v2'
+// A day starts at the profile's day boundary rather than at midnight, so a glass at 1 a.m.
+// still counts toward the evening before. The provider sets the boundary on every render,
+// like the language.
+let dayStartMinutes = 0;
+function setDayStart(minutes) { dayStartMinutes = minutes; }
+
+/**
+ * dayStartMinutesOf(user, settings)
+ * Minutes after midnight that a profile's day starts at: settings.dayStartHour when set,
+ * otherwise the (weekday) wake time.
+ */
+function dayStartMinutesOf(user, settings) {
+  if (Number.isInteger(settings?.dayStartHour)) return settings.dayStartHour * 60;
+  return minutesOfDay(user?.wakeTime || settings?.wakeTime, '00:00');
+}
+
+// runs `fn` with another profile's boundary, the way inLanguage does for text
+function withDayStart(minutes, fn) {
+  const previous = dayStartMinutes;
+  dayStartMinutes = minutes;
+  try { return fn(); } finally { dayStartMinutes = previous; }
+}
+
+// the day a moment belongs to, as 'YYYY-MM-DD'
+function formatDate(date = new Date()) { return dayjs(date).subtract(dayStartMinutes, 'minute').format('YYYY-MM-DD'); }
+
+// the moment a clock time (minutes after midnight) falls on within `date`; times before the boundary are after midnight
+function timeOnDay(date, minutes) {
+  const at = dayjs(date).startOf('day').add(minutes, 'minute');
+  return minutes < dayStartMinutes ? at.add(1, 'day') : at;
+}
+
+function makeId() { return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`; }
+
+// catalog keys under storage.labels
+const STORAGE_LABELS = {
+  [STORAGE_KEYS.USER]: 'profile',
+  [STORAGE_KEYS.INTAKE_LOG]: 'entries', // the day totals drink entries are made from
+  [STORAGE_KEYS.ENTRIES]: 'entries',
+  [STORAGE_KEYS.DAILY_GOALS]: 'dailyGoals',
+  [STORAGE_KEYS.ACHIEVEMENTS]: 'achievements',
+  [STORAGE_KEYS.WORKOUTS]: 'workouts',
+  [STORAGE_KEYS.WEATHER]: 'weather',
+  [STORAGE_KEYS.SETTINGS]: 'settings'
 };
 
-function formatDate(date = new Date()) { return dayjs(date).format('YYYY-MM-DD'); }
+function describeStorageProblem(p) {
+  const labelKey = STORAGE_LABELS[String(p.key).split('::')[0]]; // profile data lives under `<key>::<profileId>`
+  const params = { label: labelKey ? t(`storage.labels.${labelKey}`) : p.key, message: p.message };
+  if (['corrupt', 'write', 'read', 'newer', 'migration'].includes(p.type)) return t(`storage.${p.type}`, params);
+  return p.message;
+}
+
+// one alert at a time; problems reported while it is open wait in lib/storage for the next one
+let storageAlertOpen = false;
 
-async function loadJson(key, fallback) {
-  try { const s = await AsyncStorage.getItem(key); return s ? JSON.parse(s) : fallback; }
-  catch (e) { return fallback; }
+/**
+ * showStorageProblems(onRestored)
+ * Tells the user about anything lib/storage couldn't read, write or migrate, once per
+ * problem, and offers the pre-migration recovery copy when data was lost or not upgraded.
+ */
+async function showStorageProblems(onRestored) {
+  if (storageAlertOpen) return;
+  const found = takeStorageProblems();
+  if (!found.length) return;
+  storageAlertOpen = true;
+  const closed = () => { storageAlertOpen = false; };
+  const canRestore = found.some(p => p.type === 'corrupt' || p.type === 'migration');
+  const recovery = canRestore ? await getRecoveryInfo() : null;
+  const details = [...new Set(found.map(describeStorageProblem))].map(line => `• ${line}`).join('\n');
+  const buttons = [{ text: t('common.ok'), onPress: closed }];
+  if (recovery) {
+    buttons.push({
+      text: t('storage.restoreCopy'),
+      onPress: async () => { closed(); if (await restoreRecoverySlot()) onRestored && onRestored(); }
+    });
+  }
+  const hint = recovery ? `\n\n${t('storage.restoreHint', { date: formatDay(recovery.createdAt, 'dateTime') })}` : '';
+  Alert.alert(t('storage.title'), details + hint, buttons, { onDismiss: closed });
 }
-async function saveJson(key, val) {
-  try { await AsyncStorage.setItem(key, JSON.stringify(val)); }
-  catch (e) { console.warn('save error', e); }
+
+// -------------------- Language --------------------
+function deviceLanguage() { return Localization.getLocales()[0]?.languageCode; }
+
+// the catalog a profile's settings ask for; 'system' follows the device
+function languageOf(settings) { return resolveLanguage(settings?.language, deviceLanguage()); }
+
+/**
+ * inLanguage(lang, fn)
+ * Runs `fn` with `lang` as the current language and puts the previous one back. Text built
+ * outside the UI (another profile's reminders, background tasks) goes through here.
+ */
+function inLanguage(lang, fn) {
+  const previous = getLanguage();
+  setLanguage(lang);
+  try { return fn(); } finally { setLanguage(previous); }
 }
 
-// -------------------- Theme --------------------
-function makeTheme(isDark) {
-  if (!isDark) {
-    return {
-      background: '#f6fbff',
-      surface: '#ffffff',
-      card: 'rgba(255,255,255,0.95)',
-      primary: '#0077b6',
-      accent: '#00b4d8',
-      text: '#083344',
-      subtext: '#666',
-      border: '#e6f0f4',
-      inputBg: '#fff',
-      wave: '#00bfff',
-      topbar: '#05668d',
-      statusBarStyle: 'dark-content',
-      gradientLight: ['#e0f7ff', '#cfeefd'],
-      gradientPrimary: ['#00b4d8', '#0077b6']
-    };
-  } else {
-    return {
-      background: '#071023',
-      surface: '#0b1220',
-      card: '#0f1724',
-      primary: '#5dd6ff',
-      accent: '#4fb6d9',
-      text: '#e6f7ff',
-      subtext: '#a9c7d7',
-      border: '#122033',
-      inputBg: '#071323',
-      wave: '#2bb7ff',
-      topbar: '#7ad0ff',
-      statusBarStyle: 'light-content',
-      gradientLight: ['#042033', '#063142'],
-      gradientPrimary: ['#036b8f', '#024b6a']
-    };
+// -------------------- Units --------------------
+// Volumes are always stored in ml and weights in kg; the unit preference only changes
+// what is shown and how typed numbers are read, so switching it never touches history.
+const ML_PER_FL_OZ = 29.5735;
+const ML_PER_GALLON = 3785.41;
+const KG_PER_LB = 0.453592;
+const UNIT_SYSTEMS = {
+  metric: { get label() { return t('units.metric'); }, volume: 'ml', weight: 'kg', quickAmount: 250 },
+  imperial: { get label() { return t('units.imperial'); }, volume: 'fl oz', weight: 'lb', quickAmount: 8 }
+};
+
+function unitsOf(settings) { return settings?.units === 'imperial' ? 'imperial' : 'metric'; }
+
+function roundTo(n, decimals) { const f = 10 ** decimals; return Math.round(n * f) / f; }
+
+// ml → the number shown for it (whole ml, or fl oz to one decimal)
+function toDisplayVolume(ml, units) {
+  return units === 'imperial' ? roundTo((ml || 0) / ML_PER_FL_OZ, 1) : Math.round(ml || 0);
+}
+
+function formatVolume(ml, units) { return `${formatNumber(toDisplayVolume(ml, units), 1)} ${UNIT_SYSTEMS[units].volume}`; }
+
+// lifetime totals read better in litres or gallons
+function formatLargeVolume(ml, units) {
+  return units === 'imperial' ? `${formatNumber(ml / ML_PER_GALLON, 1)} gal` : `${formatNumber(ml / 1000, 1)} L`;
+}
+
+/**
+ * parseVolume(text, units)
+ * A typed amount in the display unit → whole ml, or null when it isn't a positive number.
+ */
+function parseVolume(text, units) {
+  const n = parseFloat(String(text).replace(',', '.'));
+  if (!(n > 0)) return null;
+  return Math.round(units === 'imperial' ? n * ML_PER_FL_OZ : n);
+}
+
+function toDisplayWeight(kg, units) {
+  if (!kg) return '';
+  return units === 'imperial' ? roundTo(kg / KG_PER_LB, 1) : kg;
+}
+
+// typed weight in the display unit → kg, or null
+function parseWeight(text, units) {
+  const n = parseFloat(String(text).replace(',', '.'));
+  if (!(n > 0)) return null;
+  return units === 'imperial' ? roundTo(n * KG_PER_LB, 1) : n;
+}
+
+// -------------------- Beverages --------------------
+// factor = share of the volume that counts toward the hydration goal; built-in names come from the catalogs
+const DEFAULT_BEVERAGES = [
+  { id: 'water', get name() { return t('beverages.water'); }, icon: 'water-outline', factor: 1 },
+  { id: 'tea', get name() { return t('beverages.tea'); }, icon: 'leaf-outline', factor: 0.9 },
+  { id: 'coffee', get name() { return t('beverages.coffee'); }, icon: 'cafe-outline', factor: 0.8 },
+  { id: 'milk', get name() { return t('beverages.milk'); }, icon: 'pint-outline', factor: 0.9 },
+  { id: 'juice', get name() { return t('beverages.juice'); }, icon: 'nutrition-outline', factor: 0.85 },
+  { id: 'sports', get name() { return t('beverages.sports'); }, icon: 'barbell-outline', factor: 1 },
+  { id: 'soda', get name() { return t('beverages.soda'); }, icon: 'sparkles-outline', factor: 0.7 }
+];
+const CUSTOM_BEVERAGE_ICONS = ['beaker-outline', 'wine-outline', 'beer-outline', 'ice-cream-outline', 'flask-outline', 'leaf-outline'];
+
+// Quick-add containers: sizes are stored in ml; `beverage` null means "whatever is selected".
+// The defaults are saved with the profile's settings, so they keep the language they were created in.
+const CONTAINER_ICONS = ['water-outline', 'cafe-outline', 'pint-outline', 'beer-outline', 'wine-outline', 'flask-outline'];
+const DEFAULT_CONTAINERS = [
+  { id: 'glass', get name() { return t('containers.glass'); }, icon: 'pint-outline', amount: 200, beverage: null },
+  { id: 'mug', get name() { return t('containers.mug'); }, icon: 'cafe-outline', amount: 300, beverage: null },
+  { id: 'bottle', get name() { return t('containers.bottle'); }, icon: 'water-outline', amount: 750, beverage: 'water' }
+];
+
+function findBeverage(beverages, id) {
+  return beverages.find(b => b.id === id) || { id, name: t('beverages.other'), icon: 'beaker-outline', factor: 1 };
+}
+
+// -------------------- Timezones --------------------
+// Entries keep the UTC offset they were logged at (`utcOffset`, minutes east of UTC) and the
+// device's zone name when it reports one, so a day logged in New York stays that day after
+// landing in London. Entries from before this have neither and are read in the current zone.
+function deviceTimeZone() { return Localization.getCalendars()[0]?.timeZone || null; }
+
+// 'UTC+05:30'
+function formatOffset(minutes) {
+  const abs = Math.abs(minutes);
+  return `UTC${minutes < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+// the wall-clock time an entry was logged at, in the zone it was logged in
+function loggedTime(entry) {
+  const at = dayjs(entry.timestamp);
+  return entry.utcOffset == null ? at : at.add(entry.utcOffset - at.utcOffset(), 'minute');
+}
+
+// the reverse: the moment a wall-clock time in a zone `offset` minutes east of UTC stands for
+function fromLoggedTime(local, offset) {
+  return offset == null ? local : local.subtract(offset - local.utcOffset(), 'minute');
+}
+
+// zones compare by name where known, so a DST change at home isn't mistaken for travel
+function zoneKey(entry) { return entry.timeZone || formatOffset(entry.utcOffset); }
+function currentZoneKey() { return deviceTimeZone() || formatOffset(dayjs().utcOffset()); }
+function isAwayEntry(entry) { return entry.utcOffset != null && zoneKey(entry) !== currentZoneKey(); }
+
+// for items from outside this device: both fields may be missing, but not wrong (offsets run UTC-12:00 to UTC+14:00)
+function hasValidZone(entry) {
+  return (entry.utcOffset == null || (Number.isFinite(entry.utcOffset) && entry.utcOffset >= -12 * 60 && entry.utcOffset <= 14 * 60))
+    && (entry.timeZone == null || typeof entry.timeZone === 'string');
+}
+
+// 'Tokyo (UTC+09:00)', or just the offset when the zone's name isn't known
+function zoneLabel(entry) {
+  const offset = formatOffset(entry.utcOffset);
+  return entry.timeZone ? `${entry.timeZone.split('/').pop().replace(/_/g, ' ')} (${offset})` : offset;
+}
+
+// -------------------- Intake Entries --------------------
+// Every drink is stored as its own entry; day totals are always derived from these.
+// `amount` is the raw volume, `hydration` the part of it that counts toward the goal.
+function createEntry(amount, beverage = 'water', source = 'manual', timestamp = new Date(), factor = 1) {
+  const at = dayjs(timestamp);
+  return {
+    id: makeId(), timestamp: at.toISOString(), utcOffset: at.utcOffset(), timeZone: deviceTimeZone(),
+    amount, hydration: Math.round(amount * factor), beverage, source
+  };
+}
+
+/**
+ * logIntake({ amount, beverage, source, timestamp, customBeverages })
+ * The one way a new drink becomes an entry, shared by the UI and notification actions.
+ */
+function logIntake({ amount, beverage = 'water', source = 'manual', timestamp = new Date(), customBeverages = [] }) {
+  const factor = findBeverage([...DEFAULT_BEVERAGES, ...customBeverages], beverage).factor;
+  return createEntry(amount, beverage, source, timestamp, factor);
+}
+
+// what an entry from outside this device (a backup file, another device's sync) must look like before it is used
+function isValidEntry(e) {
+  return !!e && typeof e.id === 'string' && typeof e.timestamp === 'string' && dayjs(e.timestamp).isValid()
+    && Number.isFinite(e.amount) && e.amount > 0
+    && (e.hydration === undefined || (Number.isFinite(e.hydration) && e.hydration >= 0))
+    && typeof e.beverage === 'string' && typeof e.source === 'string' && hasValidZone(e);
+}
+
+// entries saved before beverages existed are plain water
+function entryHydration(entry) { return entry.hydration ?? entry.amount; }
+
+// the day it was where the drink was logged, wherever the device is now
+function entryDate(entry) { return formatDate(loggedTime(entry)); }
+
+function entriesForDate(entries, date) {
+  return entries.filter(e => entryDate(e) === date).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+function dailyTotals(entries) {
+  const totals = {};
+  for (const e of entries) {
+    const d = entryDate(e);
+    totals[d] = (totals[d] || 0) + entryHydration(e);
+  }
+  return totals;
+}
+
+function dailyVolumes(entries) {
+  const volumes = {};
+  for (const e of entries) {
+    const d = entryDate(e);
+    volumes[d] = (volumes[d] || 0) + e.amount;
+  }
+  return volumes;
+}
+
+// [{ beverage, volume, hydration }] for a set of entries, largest volume first
+function beverageBreakdown(entries) {
+  const byBeverage = {};
+  for (const e of entries) {
+    const row = byBeverage[e.beverage] || (byBeverage[e.beverage] = { beverage: e.beverage, volume: 0, hydration: 0 });
+    row.volume += e.amount;
+    row.hydration += entryHydration(e);
+  }
+  return Object.values(byBeverage).sort((a, b) => b.volume - a.volume);
+}
+
+async function loadEntries(profileId) {
+  const saved = await loadJson(profileKey(STORAGE_KEYS.ENTRIES, profileId), []);
+  return Array.isArray(saved) ? saved : [];
+}
+
+// -------------------- Daily Goals --------------------
+const DEFAULT_GOAL = 2000;
+
+/**
+ * goalForDate(dailyGoals, date, fallback)
+ * The goal recorded for `date`, else the latest one recorded before it.
+ * Days older than the first record are judged against that first goal.
+ */
+function goalForDate(dailyGoals, date, fallback = DEFAULT_GOAL) {
+  if (dailyGoals[date]) return dailyGoals[date];
+  const days = Object.keys(dailyGoals).sort();
+  if (days.length === 0) return fallback;
+  let goal = dailyGoals[days[0]];
+  for (const d of days) {
+    if (d > date) break;
+    goal = dailyGoals[d];
+  }
+  return goal || fallback;
+}
+
+// -------------------- Goal Calculator --------------------
+// Base need comes from body weight; every other factor is applied on top of it in order.
+const SEX_OPTIONS = [
+  { id: 'female', get label() { return t('goal.sex.female'); }, mlPerKg: 31 },
+  { id: 'male', get label() { return t('goal.sex.male'); }, mlPerKg: 35 },
+  { id: 'unspecified', get label() { return t('goal.sex.unspecified'); }, mlPerKg: 33 }
+];
+const ACTIVITY_LEVELS = [
+  { id: 'sedentary', get label() { return t('goal.activity.sedentary'); }, extra: 0 },
+  { id: 'light', get label() { return t('goal.activity.light'); }, extra: 250 },
+  { id: 'active', get label() { return t('goal.activity.active'); }, extra: 500 },
+  { id: 'very_active', get label() { return t('goal.activity.very_active'); }, extra: 800 }
+];
+const CLIMATES = [
+  { id: 'cool', get label() { return t('goal.climate.cool'); }, factor: 0.95 },
+  { id: 'temperate', get label() { return t('goal.climate.temperate'); }, factor: 1 },
+  { id: 'warm', get label() { return t('goal.climate.warm'); }, factor: 1.1 },
+  { id: 'hot', get label() { return t('goal.climate.hot'); }, factor: 1.2 }
+];
+const PREGNANCY_EXTRA = 300;
+const BREASTFEEDING_EXTRA = 700;
+const DEFAULT_GOAL_FACTORS = { sex: 'unspecified', activity: 'sedentary', climate: 'temperate', pregnant: false, breastfeeding: false };
+
+function percentLabel(factor) { return `${factor > 1 ? '+' : '−'}${Math.round(Math.abs(factor - 1) * 100)}%`; }
+
+/**
+ * calculateGoal({ weight, age, sex, activity, climate, pregnant, breastfeeding })
+ * Weight in kg. Returns { goal, steps } where steps are [{ label, change }] in ml, the first
+ * being the weight-based starting point, so the UI can show what each factor added or removed.
+ */
+function calculateGoal(profile) {
+  const f = { ...DEFAULT_GOAL_FACTORS, ...profile };
+  const weight = Number(f.weight); const age = Number(f.age);
+  if (!(weight > 0) || !(age > 0)) return { goal: DEFAULT_GOAL, steps: [] };
+
+  const sex = SEX_OPTIONS.find(o => o.id === f.sex) || SEX_OPTIONS[2];
+  const steps = [{
+    label: sex.id === 'unspecified' ? t('goal.steps.bodyWeight') : t('goal.steps.bodyWeightSex', { sex: sex.label.toLowerCase() }),
+    change: weight * sex.mlPerKg
+  }];
+  let ml = steps[0].change;
+  const add = (label, change) => { if (change) { steps.push({ label, change }); ml += change; } };
+
+  const ageFactor = age < 30 ? 1.05 : age > 55 ? 0.9 : 1;
+  if (ageFactor !== 1) add(t('goal.steps.age', { age, percent: percentLabel(ageFactor) }), ml * (ageFactor - 1));
+  const activity = ACTIVITY_LEVELS.find(o => o.id === f.activity) || ACTIVITY_LEVELS[0];
+  add(activity.label, activity.extra);
+  const climate = CLIMATES.find(o => o.id === f.climate) || CLIMATES[1];
+  if (climate.factor !== 1) add(t('goal.steps.climate', { climate: climate.label, percent: percentLabel(climate.factor) }), ml * (climate.factor - 1));
+  if (f.pregnant) add(t('goal.steps.pregnancy'), PREGNANCY_EXTRA);
+  if (f.breastfeeding) add(t('goal.steps.breastfeeding'), BREASTFEEDING_EXTRA);
+
+  return { goal: Math.round(ml), steps: steps.map(st => ({ ...st, change: Math.round(st.change) })) };
+}
+
+function goalFactorsOf(user) {
+  const factors = {};
+  Object.keys(DEFAULT_GOAL_FACTORS).forEach(k => { factors[k] = user?.[k] ?? DEFAULT_GOAL_FACTORS[k]; });
+  return factors;
+}
+
+// -------------------- Profile Validation --------------------
+const WEIGHT_RANGE_KG = [20, 300];
+const AGE_RANGE = [5, 120];
+const GOAL_RANGE_ML = [500, 20000]; // wider than any calculated goal, for checking stored ones
+
+/**
+ * validateProfile({ name, weight, age }, units)
+ * Checks the profile fields as typed (weight in the display unit) → { errors, profile }.
+ * `errors` are messages, [] when everything is usable; `profile` has the trimmed name,
+ * weight in kg and age in years.
+ */
+function validateProfile({ name, weight, age }, units) {
+  const errors = [];
+  const trimmed = String(name ?? '').trim();
+  if (!trimmed) errors.push(t('validation.name'));
+
+  const kg = /^\s*\d+([.,]\d+)?\s*$/.test(String(weight ?? '')) ? parseWeight(weight, units) : null;
+  const [minKg, maxKg] = WEIGHT_RANGE_KG;
+  if (!(kg >= minKg && kg <= maxKg)) {
+    const shown = (value) => `${formatNumber(toDisplayWeight(value, units), 1)} ${UNIT_SYSTEMS[units].weight}`;
+    errors.push(t('validation.weight', { min: shown(minKg), max: shown(maxKg) }));
+  }
+
+  const years = /^\s*\d+\s*$/.test(String(age ?? '')) ? Number(age) : NaN;
+  const [minAge, maxAge] = AGE_RANGE;
+  if (!(years >= minAge && years <= maxAge)) errors.push(t('validation.age', { min: minAge, max: maxAge }));
+
+  return { errors, profile: { name: trimmed, weight: kg, age: years } };
+}
+
+// The checks below are for data from outside this device (a backup file, another device's sync).
+function isValidGoal(goal) { return Number.isFinite(goal) && goal >= GOAL_RANGE_ML[0] && goal <= GOAL_RANGE_ML[1]; }
+
+function inRange(value, [min, max]) { return value == null || (Number.isFinite(value) && value >= min && value <= max); }
+
+function isValidStoredProfile(user) {
+  return !!user && typeof user === 'object' && typeof user.name === 'string' && !!user.name.trim()
+    && (user.goal == null || isValidGoal(user.goal)) && inRange(user.weight, WEIGHT_RANGE_KG) && inRange(user.age, AGE_RANGE);
+}
+
+// { 'YYYY-MM-DD': goal }
+function isValidDailyGoals(goals) {
+  return !!goals && typeof goals === 'object' && !Array.isArray(goals)
+    && Object.entries(goals).every(([date, goal]) => DATE_PATTERN.test(date) && isValidGoal(goal));
+}
+
+// a list setting may be missing (the default is used), but if it is there every item needs an id
+function isListOf(list, check) {
+  return list === undefined || (Array.isArray(list) && list.every(item => !!item && typeof item === 'object' && typeof item.id === 'string' && check(item)));
+}
+
+function isValidStoredSettings(settings) {
+  return !!settings && typeof settings === 'object' && !Array.isArray(settings)
+    && isListOf(settings.customBeverages, b => typeof b.name === 'string' && Number.isFinite(b.factor) && b.factor >= 0)
+    && isListOf(settings.containers, c => Number.isFinite(c.amount) && c.amount > 0)
+    && isListOf(settings.quietHours, q => typeof q.start === 'string' && typeof q.end === 'string' && parseTime(q.start).ok && parseTime(q.end).ok)
+    && (settings.weekendSchedule === undefined || (!!settings.weekendSchedule && typeof settings.weekendSchedule === 'object'));
+}
+
+// -------------------- Workouts --------------------
+// A workout raises the goal of the day it was done on, and no other. The bonus is worked out
+// when it is logged and saved with it, so past goals never move.
+const WORKOUT_TYPES = [
+  { id: 'run', get name() { return t('workouts.types.run'); }, icon: 'walk-outline' },
+  { id: 'cycle', get name() { return t('workouts.types.cycle'); }, icon: 'bicycle-outline' },
+  { id: 'gym', get name() { return t('workouts.types.gym'); }, icon: 'barbell-outline' },
+  { id: 'swim', get name() { return t('workouts.types.swim'); }, icon: 'water-outline' },
+  { id: 'sport', get name() { return t('workouts.types.sport'); }, icon: 'football-outline' },
+  { id: 'yoga', get name() { return t('workouts.types.yoga'); }, icon: 'body-outline' },
+  { id: 'other', get name() { return t('workouts.types.other'); }, icon: 'fitness-outline' }
+];
+const WORKOUT_INTENSITIES = [
+  { id: 'light', get label() { return t('workouts.intensities.light'); }, mlPerMin: 7 },
+  { id: 'moderate', get label() { return t('workouts.intensities.moderate'); }, mlPerMin: 10 },
+  { id: 'hard', get label() { return t('workouts.intensities.hard'); }, mlPerMin: 13 }
+];
+
+function findWorkoutType(id) { return WORKOUT_TYPES.find(w => w.id === id) || WORKOUT_TYPES[WORKOUT_TYPES.length - 1]; }
+
+// extra ml for a workout, rounded to 10 ml
+function workoutBonus(durationMins, intensity) {
+  const level = WORKOUT_INTENSITIES.find(i => i.id === intensity) || WORKOUT_INTENSITIES[1];
+  return Math.round((durationMins * level.mlPerMin) / 10) * 10;
+}
+
+function createWorkout({ type, durationMins, intensity, timestamp = new Date() }) {
+  return { id: makeId(), timestamp: dayjs(timestamp).toISOString(), type, durationMins, intensity, bonus: workoutBonus(durationMins, intensity) };
+}
+
+function isValidWorkout(w) {
+  return !!w && typeof w.id === 'string' && typeof w.timestamp === 'string' && dayjs(w.timestamp).isValid()
+    && typeof w.type === 'string' && Number.isFinite(w.durationMins) && Number.isFinite(w.bonus) && w.bonus >= 0 && hasValidZone(w);
+}
+
+// { 'YYYY-MM-DD': total bonus ml }
+function workoutBonuses(workouts) {
+  const bonuses = {};
+  for (const w of workouts) {
+    const d = entryDate(w);
+    bonuses[d] = (bonuses[d] || 0) + w.bonus;
+  }
+  return bonuses;
+}
+
+function workoutsForDate(workouts, date) {
+  return workouts.filter(w => entryDate(w) === date).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// -------------------- Weather --------------------
+// Conditions come from lib/weather providers. Each day keeps the record it was adjusted
+// with, so changing provider (or a forecast changing) never moves a past goal.
+const WEATHER_PROVIDERS = [
+  { id: 'off', get label() { return t('weather.providers.off'); } },
+  { id: 'manual', get label() { return t('weather.providers.manual'); } },
+  { id: 'file', get label() { return t('weather.providers.file'); } },
+  { id: 'mock', get label() { return t('weather.providers.mock'); } }
+];
+const WEATHER_FILE = `${FileSystem.documentDirectory}weather.json`;
+const MOCK_WEATHER = { tempC: 33, humidity: 75 };
+
+// `getManual(date)` gives the day's { hot, humid } ticks for the manual provider
+function weatherProviderFor(id, getManual) {
+  if (id === 'manual') return createManualProvider(getManual);
+  if (id === 'file') {
+    return createFileProvider(WEATHER_FILE, async uri => ((await FileSystem.getInfoAsync(uri)).exists ? FileSystem.readAsStringAsync(uri) : null));
+  }
+  if (id === 'mock') return createMockProvider(MOCK_WEATHER);
+  return null;
+}
+
+function weatherRecord(conditions, manual) {
+  return { ...conditions, ...weatherAdjustment(conditions), manual: manual || null };
+}
+
+// the parts of a record that goals and WeatherToday read, checked before a backup's days are used
+function isValidWeatherRecord(record) {
+  return !!record && typeof record === 'object' && Number.isFinite(record.percent) && record.percent >= 0
+    && Array.isArray(record.reasons)
+    && record.reasons.every(r => r && (r.type === 'heat' || r.type === 'humidity') && Number.isFinite(r.value) && Number.isFinite(r.percent))
+    && (record.manual == null || typeof record.manual === 'object');
+}
+
+// extra ml a weather record adds to a day's base goal, rounded to 10 ml
+function weatherBonus(baseGoal, record) {
+  if (!record || !record.percent) return 0;
+  return Math.round((baseGoal * record.percent) / 1000) * 10;
+}
+
+function formatTemp(tempC, units) {
+  return units === 'imperial' ? `${Math.round(tempC * 9 / 5 + 32)} °F` : `${Math.round(tempC)} °C`;
+}
+
+// "Hot (33 °C) +15%", or "Marked hot +15%" for days the user ticked
+function describeWeatherReason(reason, record, units) {
+  const manual = record.source === 'manual';
+  if (reason.type === 'heat') return `${manual ? t('weather.markedHot') : t('weather.hot', { temp: formatTemp(reason.value, units) })} +${reason.percent}%`;
+  return `${manual ? t('weather.markedHumid') : t('weather.humid', { humidity: reason.value })} +${reason.percent}%`;
+}
+
+// -------------------- Backup & Export --------------------
+const BACKUP_APP_ID = 'HydrateMate';
+const BACKUP_FORMAT = 1;
+
+function buildBackup({ user, entries, dailyGoals, settings, unlocks, workouts, weather }) {
+  return {
+    app: BACKUP_APP_ID,
+    format: BACKUP_FORMAT,
+    exportedAt: new Date().toISOString(),
+    data: { user, entries, dailyGoals, settings, achievements: unlocks || {}, workouts: workouts || [], weather: weather || {} }
+  };
+}
+
+/**
+ * validateBackup(raw)
+ * Parses and checks a backup file. Returns { ok: true, data } or { ok: false, errors }.
+ */
+function validateBackup(raw) {
+  let parsed;
+  try { parsed = typeof raw === 'string' ? JSON.parse(raw) : raw; }
+  catch (e) { return { ok: false, errors: [t('backup.errors.notJson')] }; }
+
+  const errors = [];
+  if (!parsed || parsed.app !== BACKUP_APP_ID) errors.push(t('backup.errors.notBackup'));
+  else if (parsed.format > BACKUP_FORMAT) errors.push(t('backup.errors.newer'));
+  const data = parsed?.data || {};
+  if (data.user && !isValidStoredProfile(data.user)) errors.push(t(data.user.name ? 'backup.errors.badProfile' : 'backup.errors.noName'));
+  if (!Array.isArray(data.entries)) errors.push(t('backup.errors.noEntries'));
+  else {
+    const bad = data.entries.filter(e => !isValidEntry(e));
+    if (bad.length) errors.push(t('backup.errors.badEntries', { count: bad.length }));
+  }
+  if (data.settings && !isValidStoredSettings(data.settings)) errors.push(t('backup.errors.badSettings'));
+  if (data.dailyGoals && !isValidDailyGoals(data.dailyGoals)) errors.push(t('backup.errors.badGoals'));
+  if (data.workouts && (!Array.isArray(data.workouts) || !data.workouts.every(isValidWorkout))) {
+    errors.push(t('backup.errors.badWorkouts'));
+  }
+  if (data.weather && (typeof data.weather !== 'object' || Array.isArray(data.weather) || !Object.values(data.weather).every(isValidWeatherRecord))) {
+    errors.push(t('backup.errors.badWeather'));
+  }
+  if (errors.length) return { ok: false, errors };
+
+  return {
+    ok: true,
+    data: {
+      user: data.user || null,
+      entries: data.entries,
+      dailyGoals: data.dailyGoals || {},
+      settings: data.settings || {},
+      unlocks: data.achievements || {},
+      workouts: data.workouts || [],
+      weather: data.weather || {}
+    }
+  };
+}
+
+/**
+ * isValidSyncedChange(change)
+ * Whether a change record from the sync server holds what validateBackup would accept for its
+ * kind. Records that don't are dropped rather than applied.
+ */
+function isValidSyncedChange(change) {
+  const { kind, id, value } = change;
+  // the profile and settings are only ever replaced, never deleted
+  if (change.deleted) return kind === 'entries' || kind === 'workouts' || kind === 'dailyGoals';
+  if (kind === 'user') return isValidStoredProfile(value);
+  if (kind === 'settings') return isValidStoredSettings(value);
+  if (kind === 'entries') return isValidEntry(value) && value.id === id;
+  if (kind === 'workouts') return isValidWorkout(value) && value.id === id;
+  if (kind === 'dailyGoals') return DATE_PATTERN.test(id) && isValidGoal(value);
+  return false;
+}
+
+function mergeById(local = [], incoming = []) {
+  const byId = {};
+  local.forEach(item => { byId[item.id] = item; });
+  incoming.forEach(item => { if (!byId[item.id]) byId[item.id] = item; });
+  return Object.values(byId);
+}
+
+/**
+ * mergeBackup(local, incoming)
+ * Keeps this device's profile and settings, and adds whatever the backup has that we don't:
+ * entries by id (an edited copy wins over an older one), missing daily goals, workouts,
+ * weather days, custom drinks, quiet hours, and the earliest date for each achievement.
+ */
+function mergeBackup(local, incoming) {
+  const entries = {};
+  local.entries.forEach(e => { entries[e.id] = e; });
+  incoming.entries.forEach(e => {
+    const mine = entries[e.id];
+    if (!mine || (e.editedAt || '') > (mine.editedAt || '')) entries[e.id] = e;
+  });
+
+  const unlocks = { ...incoming.unlocks };
+  Object.entries(local.unlocks || {}).forEach(([id, at]) => { if (!unlocks[id] || at < unlocks[id]) unlocks[id] = at; });
+
+  return {
+    user: local.user || incoming.user,
+    entries: Object.values(entries),
+    dailyGoals: { ...incoming.dailyGoals, ...local.dailyGoals },
+    workouts: mergeById(local.workouts, incoming.workouts),
+    weather: { ...incoming.weather, ...local.weather },
+    settings: {
+      ...incoming.settings,
+      ...local.settings,
+      customBeverages: mergeById(local.settings.customBeverages, incoming.settings.customBeverages),
+      containers: mergeById(local.settings.containers, incoming.settings.containers),
+      quietHours: mergeById(local.settings.quietHours, incoming.settings.quietHours)
+    },
+    unlocks
+  };
+}
+
+function csvCell(value) {
+  const s = String(value ?? '');
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function entriesToCsv(entries, getBeverage) {
+  const header = ['date', 'time', 'utc_offset', 'beverage', 'volume_ml', 'hydration_ml', 'source'];
+  const rows = [...entries]
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+    .map(e => [entryDate(e), loggedTime(e).format('HH:mm'), e.utcOffset == null ? '' : formatOffset(e.utcOffset), getBeverage(e.beverage).name, e.amount, entryHydration(e), e.source]);
+  return [header, ...rows].map(r => r.map(csvCell).join(',')).join('\n');
+}
+
+async function shareTextFile(filename, contents, mimeType) {
+  if (Platform.OS === 'web' || !(await Sharing.isAvailableAsync())) {
+    await Share.share({ title: filename, message: contents });
+    return;
   }
+  const uri = `${FileSystem.cacheDirectory}${filename}`;
+  await FileSystem.writeAsStringAsync(uri, contents);
+  await Sharing.shareAsync(uri, { mimeType, dialogTitle: filename });
+}
+
+async function pickTextFile() {
+  const result = await DocumentPicker.getDocumentAsync({ type: ['application/json', 'text/plain', '*/*'], copyToCacheDirectory: true });
+  if (result.canceled || !result.assets?.length) return null;
+  const { uri } = result.assets[0];
+  if (Platform.OS === 'web') return (await fetch(uri)).text();
+  return FileSystem.readAsStringAsync(uri);
+}
+
+// -------------------- Theme --------------------
+// profiles saved before the theme mode existed only have the darkMode flag
+function themeModeOf(settings) {
+  if (settings?.themeMode) return settings.themeMode;
+  return settings?.darkMode ? 'dark' : 'system';
+}
+
+// react-navigation's theme with our colours, so headers, tab bar and screen backgrounds match
+function navigationTheme(theme) {
+  const base = theme.isDark ? DarkTheme : DefaultTheme;
+  return {
+    ...base,
+    dark: theme.isDark,
+    colors: {
+      ...base.colors,
+      primary: theme.primary,
+      background: theme.background,
+      card: theme.card,
+      text: theme.text,
+      border: theme.border,
+      notification: theme.danger
+    }
+  };
 }
 
 // -------------------- Notifications Setup --------------------
@@ -91,279 +750,1561 @@ async function registerForPushNotificationsAsync() {
   return finalStatus === 'granted';
 }
 
-async function cancelScheduledNotificationsAndClearStorage() {
+async function cancelScheduledNotificationsAndClearStorage(profileId) {
   try {
-    const ids = await loadJson(STORAGE_KEYS.NOTIF_IDS, []);
+    const key = profileKey(STORAGE_KEYS.NOTIF_IDS, profileId);
+    const ids = await loadJson(key, []);
     if (Array.isArray(ids)) {
       await Promise.all(ids.map(id => Notifications.cancelScheduledNotificationAsync(id)));
     }
-    await saveJson(STORAGE_KEYS.NOTIF_IDS, []);
+    await saveJson(key, []);
   } catch (e) { console.warn('cancel notifs err', e); }
 }
 
+const MAX_SCHEDULED_REMINDERS = 60; // iOS keeps at most 64 pending local notifications, for all profiles together
+
+function isWeekend(day) { const d = dayjs(day).day(); return d === 0 || d === 6; }
+
+/**
+ * reminderScheduleFor(day, user, settings)
+ * { wakeTime, bedTime, intervalMins, quietHours } that apply to the waking window starting on `day`.
+ */
+function reminderScheduleFor(day, user, settings) {
+  const weekend = isWeekend(day);
+  const useWeekend = weekend && settings?.weekendSchedule?.enabled;
+  const source = useWeekend ? settings.weekendSchedule : {
+    wakeTime: user?.wakeTime || settings?.wakeTime,
+    bedTime: user?.bedTime || settings?.bedTime,
+    reminderIntervalMins: settings?.reminderIntervalMins
+  };
+  const quietHours = (settings?.quietHours || []).filter(q => q.days === 'all' || (q.days === 'weekends') === weekend);
+  return { wakeTime: source.wakeTime, bedTime: source.bedTime, intervalMins: source.reminderIntervalMins, quietHours };
+}
+
+function reminderWindow(day, schedule) {
+  const wake = minutesOfDay(schedule.wakeTime, '07:00');
+  let bed = minutesOfDay(schedule.bedTime, '23:00');
+  if (bed <= wake) bed += 24 * 60;
+  return {
+    day,
+    start: day.add(wake, 'minute'),
+    end: day.add(bed, 'minute'),
+    interval: Math.max(15, schedule.intervalMins || 120), // min 15 min
+    quietHours: schedule.quietHours || []
+  };
+}
+
+// quiet blocks may wrap midnight (22:00–06:00)
+function inQuietHours(date, quietHours) {
+  const m = dayjs(date).hour() * 60 + dayjs(date).minute();
+  return quietHours.some(q => {
+    const start = minutesOfDay(q.start, '00:00');
+    const end = minutesOfDay(q.end, '00:00');
+    return start <= end ? m >= start && m < end : m >= start || m < end;
+  });
+}
+
+// the waking window `now` falls in; between midnight and a past-midnight bedtime that is yesterday's
+function currentWindow(now, scheduleFor) {
+  const yesterday = dayjs(now).startOf('day').subtract(1, 'day');
+  const previous = reminderWindow(yesterday, scheduleFor(yesterday));
+  if (dayjs(now).isBefore(previous.end)) return previous;
+  const today = dayjs(now).startOf('day');
+  return reminderWindow(today, scheduleFor(today));
+}
+
+// ideal pace: a straight line from nothing at wake time to the whole goal at bedtime
+function idealIntakeAt(window, goal, at) {
+  const length = window.end.diff(window.start, 'minute');
+  return goal * Math.min(Math.max(dayjs(at).diff(window.start, 'minute'), 0) / length, 1);
+}
+
+/**
+ * paceStatus(now, window, goal, intake)
+ * { ideal, diff, perHour }: where the ideal line is now, how far intake is from it
+ * (positive = ahead), and what is left of the goal spread over the rest of the window.
+ */
+function paceStatus(now, window, goal, intake) {
+  const from = dayjs(now).isBefore(window.start) ? window.start : dayjs(now);
+  const hoursLeft = window.end.diff(from, 'minute') / 60;
+  const remaining = Math.max(goal - intake, 0);
+  const ideal = idealIntakeAt(window, goal, now);
+  return { ideal: Math.round(ideal), diff: Math.round(intake - ideal), perHour: Math.round(hoursLeft > 0 ? remaining / hoursLeft : remaining) };
+}
+
+/**
+ * planReminders(now, { scheduleFor, intake, goal, limit })
+ * Returns [{ date, body }] for the rest of the current waking window, then the next one.
+ * `scheduleFor(day)` gives that day's { wakeTime, bedTime, intervalMins, quietHours }.
+ * The current window is paced against a straight line from 0 at wake time to the goal at
+ * bedtime: falling behind shortens the interval, running ahead stretches it, and once the
+ * goal is met nothing more is sent today. The next window uses its plain interval, and its
+ * reminders that are less than a day away are marked `repeats`: they go out daily from then
+ * on, so reminders keep coming however long the app stays closed. Times in quiet hours are
+ * dropped. At most `limit` are returned, keeping the repeating ones first.
+ */
+function planReminders(now, { scheduleFor, intake = 0, goal = DEFAULT_GOAL, units = 'metric', limit = MAX_SCHEDULED_REMINDERS }) {
+  const current = currentWindow(now, scheduleFor);
+  const nextDay = current.day.add(1, 'day');
+  const next = reminderWindow(nextDay, scheduleFor(nextDay));
+
+  const reminders = [];
+  if (intake < goal && dayjs(now).isBefore(current.end)) {
+    const behind = idealIntakeAt(current, goal, now) - intake;
+    let interval = current.interval;
+    if (behind > goal * 0.25) interval = current.interval / 3;
+    else if (behind > goal * 0.1) interval = current.interval / 2;
+    else if (behind < -goal * 0.1) interval = current.interval * 1.5;
+    interval = Math.max(15, Math.round(interval));
+    const body = behind > 0 ? t('notifications.behindBody', { amount: formatVolume(behind, units) }) : t('notifications.defaultBody');
+    const first = dayjs(now).isBefore(current.start) ? current.start : dayjs(now).add(interval, 'minute');
+    for (let at = first; !at.isAfter(current.end); at = at.add(interval, 'minute')) {
+      if (!inQuietHours(at, current.quietHours)) reminders.push({ date: at.toDate(), body });
+    }
+  }
+
+  // a daily trigger fires at its next clock time, so only one less than a day away can't land in today's window
+  const nextBody = t('notifications.defaultBody');
+  const dayAway = dayjs(now).add(1, 'day');
+  for (let at = next.start; !at.isAfter(next.end); at = at.add(next.interval, 'minute')) {
+    if (!inQuietHours(at, next.quietHours)) reminders.push({ date: at.toDate(), body: nextBody, repeats: at.isBefore(dayAway) });
+  }
+  const upcoming = reminders.filter(r => r.date > now);
+  const repeating = upcoming.filter(r => r.repeats).slice(0, limit);
+  const once = upcoming.filter(r => !r.repeats).slice(0, limit - repeating.length);
+  return [...once, ...repeating].sort((a, b) => a.date - b.date);
+}
+
+// runs are chained so a quick burst of logs can't interleave cancel and schedule calls
+let reminderQueue = Promise.resolve();
+
+/**
+ * scheduleReminders(profileId, user, settings, progress, limit)
+ * Replaces the profile's pending reminders with a fresh plan for today's { intake, goal },
+ * at most `limit` of them. Other profiles' reminders are left alone.
+ */
+function scheduleReminders(profileId, user, settings, progress = {}, limit = MAX_SCHEDULED_REMINDERS) {
+  reminderQueue = reminderQueue.then(() => scheduleRemindersNow(profileId, user, settings, progress, limit));
+  return reminderQueue;
+}
+
+// waits for any re-plan already under way, so it can't put back what this removes
+function cancelReminders(profileId) {
+  reminderQueue = reminderQueue.then(() => cancelScheduledNotificationsAndClearStorage(profileId));
+  return reminderQueue;
+}
+
+// today's { intake, goal } for a profile as stored, judged by that profile's own day boundary
+async function storedProgress(profileId, user, settings) {
+  const entries = await loadEntries(profileId);
+  const workouts = await loadJson(profileKey(STORAGE_KEYS.WORKOUTS, profileId), []);
+  const weather = await loadJson(profileKey(STORAGE_KEYS.WEATHER, profileId), {});
+  return withDayStart(dayStartMinutesOf(user, settings), () => {
+    const today = formatDate();
+    const baseGoal = user.goal || DEFAULT_GOAL;
+    const bonus = workoutBonuses(Array.isArray(workouts) ? workouts : [])[today] || 0;
+    return { intake: dailyTotals(entries)[today] || 0, goal: baseGoal + bonus + weatherBonus(baseGoal, weather?.[today]) };
+  });
+}
+
+/**
+ * replanAllReminders(active)
+ * Re-plans every profile's reminders, splitting the pending-notification limit between the
+ * profiles that have them on. `active` ({ id, user, settings, progress }) is the profile on
+ * screen, whose state is fresher than its storage; the others are read from storage.
+ */
+async function replanAllReminders(active = null) {
+  const index = await loadProfiles();
+  const ids = [...new Set([...(active ? [active.id] : []), ...index.profiles.map(p => p.id)])];
+  const plans = [];
+  for (const id of ids) {
+    if (active && id === active.id) { plans.push(active); continue; }
+    const user = await loadJson(profileKey(STORAGE_KEYS.USER, id), null);
+    const settings = { ...DEFAULT_SETTINGS, ...(await loadJson(profileKey(STORAGE_KEYS.SETTINGS, id), {})) };
+    plans.push({ id, user, settings, progress: user ? await storedProgress(id, user, settings) : {} });
+  }
+  const sharing = plans.filter(p => p.user && p.settings.remindersEnabled).length;
+  const limit = Math.floor(MAX_SCHEDULED_REMINDERS / Math.max(sharing, 1));
+  await Promise.all(plans.map(p => scheduleReminders(p.id, p.user, p.settings, p.progress, limit)));
+}
+
+async function scheduleRemindersNow(profileId, user, settings, progress, limit) {
+  try {
+    await cancelScheduledNotificationsAndClearStorage(profileId);
+
+    if (!user || !settings || !settings.remindersEnabled) return [];
+
+    // written in the profile's own language, whichever profile the UI is showing
+    const plan = inLanguage(languageOf(settings), () => planReminders(new Date(), {
+      scheduleFor: day => reminderScheduleFor(day, user, settings),
+      intake: progress.intake,
+      goal: progress.goal || user.goal,
+      units: unitsOf(settings),
+      limit
+    }).map(r => ({
+      date: r.date,
+      repeats: r.repeats,
+      title: t('notifications.title', { name: user.name }),
+      body: t('notifications.body', { name: user.name, message: r.body })
+    })));
+
+    const ok = await registerForPushNotificationsAsync();
+    if (!ok) {
+      console.warn('No push permission; skipping scheduling');
+      return [];
+    }
+
+    const createdIds = [];
+    for (const r of plan) {
+      const id = await Notifications.scheduleNotificationAsync({
+        content: {
+          title: r.title,
+          body: r.body,
+          data: { screen: 'Home', profileId },
+          categoryIdentifier: REMINDER_CATEGORIES[unitsOf(settings)]
+        },
+        trigger: r.repeats
+          ? { type: Notifications.SchedulableTriggerInputTypes.DAILY, hour: r.date.getHours(), minute: r.date.getMinutes() }
+          : { type: Notifications.SchedulableTriggerInputTypes.DATE, date: r.date }
+      });
+      createdIds.push(id);
+    }
+    await saveJson(profileKey(STORAGE_KEYS.NOTIF_IDS, profileId), createdIds);
+    return createdIds;
+  } catch (e) { console.warn('scheduleReminders err', e); return []; }
+}
+
+// -------------------- Notification Actions --------------------
+// one category per unit system, so the buttons match what the profile sees in the app
+const REMINDER_CATEGORIES = { metric: 'hydration-reminder', imperial: 'hydration-reminder-us' };
+const BACKGROUND_NOTIFICATION_TASK = 'HM_BACKGROUND_NOTIFICATION';
+const NOTIFICATION_ACTIONS = {
+  'log-250': { type: 'log', amount: 250, units: 'metric' },
+  'log-500': { type: 'log', amount: 500, units: 'metric' },
+  'log-8oz': { type: 'log', amount: Math.round(8 * ML_PER_FL_OZ), units: 'imperial' },
+  'log-16oz': { type: 'log', amount: Math.round(16 * ML_PER_FL_OZ), units: 'imperial' },
+  'snooze-15': { type: 'snooze', minutes: 15 }
+};
+
+function actionTitle(action) {
+  if (action.type === 'log') return t('notifications.logAction', { amount: formatVolume(action.amount, action.units) });
+  return t('notifications.snoozeAction', { minutes: action.minutes });
+}
+
+// button titles are in the current language, so this runs again whenever it changes
+async function setupNotificationCategories() {
+  try {
+    for (const [units, category] of Object.entries(REMINDER_CATEGORIES)) {
+      const actions = Object.entries(NOTIFICATION_ACTIONS).filter(([, a]) => !a.units || a.units === units);
+      await Notifications.setNotificationCategoryAsync(category, actions.map(([identifier, a]) => ({
+        identifier,
+        buttonTitle: actionTitle(a),
+        options: { opensAppToForeground: false }
+      })));
+    }
+    await Notifications.registerTaskAsync(BACKGROUND_NOTIFICATION_TASK);
+  } catch (e) { console.warn('notif categories err', e); }
+}
+
+// The OS can hand the same response to both the in-app listener and the background task.
+// Within one JS runtime they can arrive together, so the claim is taken before anything is awaited;
+// the stored list covers a background task that ran in a runtime of its own.
+const claimedResponses = new Set();
+
+async function claimNotificationResponse(response) {
+  const key = `${response.notification.request.identifier}:${response.actionIdentifier}`;
+  if (claimedResponses.has(key)) return false;
+  claimedResponses.add(key);
+  const handled = await loadJson(STORAGE_KEYS.HANDLED_ACTIONS, []);
+  if (handled.includes(key)) return false;
+  await saveJson(STORAGE_KEYS.HANDLED_ACTIONS, [...handled, key].slice(-50));
+  return true;
+}
+
+/**
+ * recordIntakeFromStorage(amount, source, profileId)
+ * Logs a drink for a profile that isn't loaded in the UI (or while the app isn't mounted):
+ * same entry as addIntake, written straight to that profile's storage, followed by a
+ * reminder re-plan of every profile.
+ */
+async function recordIntakeFromStorage(amount, source, profileId) {
+  if (!(await runMigrations()).ok) return null;
+  const pid = profileId || (await loadProfiles()).activeId;
+  const user = await loadJson(profileKey(STORAGE_KEYS.USER, pid), null);
+  if (!user) return null;
+  const settings = await loadJson(profileKey(STORAGE_KEYS.SETTINGS, pid), {});
+  const entry = logIntake({ amount, source, customBeverages: settings.customBeverages || [] });
+  const entries = [...(await loadEntries(pid)), entry];
+  await saveJson(profileKey(STORAGE_KEYS.ENTRIES, pid), entries);
+
+  const today = withDayStart(dayStartMinutesOf(user, settings), () => formatDate());
+  const goalsKey = profileKey(STORAGE_KEYS.DAILY_GOALS, pid);
+  const dailyGoals = await loadJson(goalsKey, {});
+  const nextGoals = user.goal && dailyGoals[today] !== user.goal ? { ...dailyGoals, [today]: user.goal } : dailyGoals;
+  if (nextGoals !== dailyGoals) await saveJson(goalsKey, nextGoals);
+  // sent with the profile's next sync run
+  await queueChanges(pid, diffChanges({ entries: [], dailyGoals }, { entries: [entry], dailyGoals: nextGoals }));
+  await replanAllReminders();
+  return entry;
+}
+
+async function snoozeReminder(minutes, content) {
+  const id = await Notifications.scheduleNotificationAsync({
+    content: { title: content.title, body: content.body, data: content.data, categoryIdentifier: content.categoryIdentifier || REMINDER_CATEGORIES.metric },
+    trigger: { type: Notifications.SchedulableTriggerInputTypes.TIME_INTERVAL, seconds: minutes * 60 }
+  });
+  // tracked with the profile's other reminders so its next re-plan clears it
+  const profileId = content.data?.profileId || (await loadProfiles()).activeId;
+  const key = profileKey(STORAGE_KEYS.NOTIF_IDS, profileId);
+  const ids = await loadJson(key, []);
+  await saveJson(key, [...ids, id]);
+}
+
+/**
+ * handleNotificationAction(response, logDrink)
+ * Runs a reminder's action button. `logDrink(amount, source, profileId)` is addIntake
+ * (or recordIntakeFromStorage for another profile) while the app is mounted, and
+ * recordIntakeFromStorage from the background task.
+ * Returns false for taps on the notification body, which the UI handles.
+ */
+async function handleNotificationAction(response, logDrink) {
+  const action = NOTIFICATION_ACTIONS[response.actionIdentifier];
+  if (!action) return false;
+  if (!(await claimNotificationResponse(response))) return true;
+  const content = response.notification.request.content;
+  try {
+    if (action.type === 'log') await logDrink(action.amount, 'notification', content.data?.profileId);
+    if (action.type === 'snooze') await snoozeReminder(action.minutes, content);
+    await Notifications.dismissNotificationAsync(response.notification.request.identifier);
+  } catch (e) { console.warn('notif action err', e); }
+  return true;
+}
+
+TaskManager.defineTask(BACKGROUND_NOTIFICATION_TASK, async ({ data, error }) => {
+  if (error || !data || !data.actionIdentifier) return;
+  await handleNotificationAction(data, recordIntakeFromStorage);
+});
+
+async function notifyAchievement(achievement, user, profileId, units) {
+  try {
+    await Notifications.scheduleNotificationAsync({
+      content: {
+        title: t('notifications.achievementTitle', { name: user.name }),
+        body: t('notifications.achievementBody', { title: achievementTitle(achievement), description: describeAchievement(achievement, units) }),
+        data: { screen: 'Achievements', profileId }
+      },
+      trigger: null
+    });
+  } catch (e) { console.warn('achievement notif err', e); }
+}
+
+// -------------------- App Provider --------------------
+// themeMode has no default here: it is read through themeModeOf so the old darkMode flag still counts
+const SYNC_DELAY_MS = 5000; // local changes go out together, a few seconds after the last one
+
+const DEFAULT_SETTINGS = {
+  dayStartHour: null, // null: the day starts at wake time
+  highContrast: false, accent: DEFAULT_ACCENT, customAccent: DEFAULT_CUSTOM_ACCENT, units: 'metric', language: 'system', weatherProvider: 'manual', remindersEnabled: true, reminderIntervalMins: 120, wakeTime: '07:00', bedTime: '23:00', customBeverages: [],
+  containers: DEFAULT_CONTAINERS,
+  weekendSchedule: { enabled: false, wakeTime: '09:00', bedTime: '23:30', reminderIntervalMins: 120 },
+  quietHours: [] // [{ id, label, start, end, days: 'all' | 'weekdays' | 'weekends' }]
+};
+
+function AppProvider({ children }) {
+  const colorScheme = useColorScheme();
+  const [profiles, setProfiles] = useState({ activeId: null, profiles: [] });
+  const profileId = profiles.activeId;
+  const profileIdRef = useRef(null);
+  profileIdRef.current = profileId;
+  const [user, setUser] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [dailyGoals, setDailyGoals] = useState({});
+  const [workouts, setWorkouts] = useState([]);
+  const [weather, setWeather] = useState({});
+  const [unlocks, setUnlocks] = useState(null); // null until the first evaluation has been stored
+  const [celebration, setCelebration] = useState(null);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [notifReady, setNotifReady] = useState(false);
+  const [loaded, setLoaded] = useState(false);
+  const [storageBlocked, setStorageBlocked] = useState(false); // stored data couldn't be upgraded, so none of it is touched
+  const [foregroundedAt, setForegroundedAt] = useState(Date.now());
+  const [syncConfig, setSyncConfig] = useState(DEFAULT_SYNC_CONFIG);
+  const [syncStatus, setSyncStatus] = useState({ running: false, lastSyncAt: null, error: null, pending: 0 });
+
+  // load a profile's data (the active one by default), after bringing storage up to the current schema;
+  // everything is set in one batch so state never holds one profile's log under another's id
+  const loadAll = async (targetId) => {
+    const { ok } = await runMigrations();
+    setStorageBlocked(!ok);
+    if (!ok) {
+      setLoaded(false);
+      showStorageProblems(() => loadAll(targetId));
+      return;
+    }
+    const savedSync = await loadSyncConfig();
+    // a profile about to be synced can't keep the id every upgraded install shares
+    const retired = savedSync.enabled ? await retireDefaultProfileId() : null;
+    const index = await loadProfiles();
+    const id = (retired && targetId === retired.from ? retired.to : targetId) || index.activeId;
+    const savedUser = await loadJson(profileKey(STORAGE_KEYS.USER, id), null);
+    const savedEntries = await loadEntries(id);
+    const savedGoals = await loadJson(profileKey(STORAGE_KEYS.DAILY_GOALS, id), {});
+    const savedUnlocks = await loadJson(profileKey(STORAGE_KEYS.ACHIEVEMENTS, id), null);
+    const savedWorkouts = await loadJson(profileKey(STORAGE_KEYS.WORKOUTS, id), []);
+    const savedWeather = await loadJson(profileKey(STORAGE_KEYS.WEATHER, id), {});
+    const savedSettings = await loadJson(profileKey(STORAGE_KEYS.SETTINGS, id), {});
+    setProfiles({ ...index, activeId: id });
+    setUser(savedUser);
+    setEntries(savedEntries);
+    setDailyGoals(savedGoals || {});
+    setUnlocks(savedUnlocks);
+    setWorkouts(Array.isArray(savedWorkouts) ? savedWorkouts : []);
+    setWeather(savedWeather || {});
+    setSettings({ ...DEFAULT_SETTINGS, ...(savedSettings || {}) });
+    setSyncConfig(savedSync);
+    setLoaded(true);
+    showStorageProblems(() => loadAll(id));
+  };
+  useEffect(() => { loadAll(); }, []);
+
+  // a burst of failed writes (every key after a load, say) ends up in one alert
+  const problemTimer = useRef(null);
+  const persist = (key, val) => saveJson(key, val).then(() => {
+    clearTimeout(problemTimer.current);
+    problemTimer.current = setTimeout(() => showStorageProblems(() => loadAll(profileIdRef.current)), 500);
+  });
+
+  // don't write the initial empty state over what's on disk before it has been read
+  useEffect(() => { if (loaded) persist(STORAGE_KEYS.PROFILES, profiles); }, [profiles, loaded]);
+  useEffect(() => { if (loaded) persist(profileKey(STORAGE_KEYS.USER, profileId), user); }, [user, loaded]);
+  useEffect(() => { if (loaded) persist(profileKey(STORAGE_KEYS.ENTRIES, profileId), entries); }, [entries, loaded]);
+  useEffect(() => { if (loaded) persist(profileKey(STORAGE_KEYS.SETTINGS, profileId), settings); }, [settings, loaded]);
+  useEffect(() => { if (loaded) persist(profileKey(STORAGE_KEYS.DAILY_GOALS, profileId), dailyGoals); }, [dailyGoals, loaded]);
+  useEffect(() => { if (loaded) persist(profileKey(STORAGE_KEYS.WORKOUTS, profileId), workouts); }, [workouts, loaded]);
+  useEffect(() => { if (loaded) persist(profileKey(STORAGE_KEYS.WEATHER, profileId), weather); }, [weather, loaded]);
+  useEffect(() => { if (loaded && unlocks) persist(profileKey(STORAGE_KEYS.ACHIEVEMENTS, profileId), unlocks); }, [unlocks, loaded]);
+
+  // -------- sync (lib/sync.js): local changes are queued as they happen and sent a little later
+  const syncedRef = useRef(null); // { profileId, data }: the profile's data as the queue last saw it
+  const syncingRef = useRef(false);
+  const syncTimer = useRef(null);
+  const syncNowRef = useRef(null);
+
+  useEffect(() => {
+    if (!loaded) return;
+    const data = { user, settings, entries, workouts, dailyGoals };
+    const previous = syncedRef.current;
+    syncedRef.current = { profileId, data };
+    if (!syncConfig.enabled || previous?.profileId !== profileId) return;
+    const changes = diffChanges(previous.data, data);
+    if (!changes.length) return;
+    queueChanges(profileId, changes).then(pending => setSyncStatus(s => ({ ...s, pending })));
+    clearTimeout(syncTimer.current);
+    syncTimer.current = setTimeout(() => syncNowRef.current(), SYNC_DELAY_MS);
+  }, [loaded, profileId, user, settings, entries, workouts, dailyGoals, syncConfig.enabled]);
+
+  // what other devices changed goes straight into state; the queue's snapshot moves along with
+  // it first, so none of it is queued to be sent back
+  const applyRemoteChanges = (changes) => {
+    const current = syncedRef.current.data;
+    const merged = applyChanges(current, changes);
+    if (merged.settings !== current.settings) merged.settings = { ...DEFAULT_SETTINGS, ...merged.settings };
+    syncedRef.current = { ...syncedRef.current, data: merged };
+    if (merged.user !== current.user) setUser(merged.user);
+    if (merged.settings !== current.settings) setSettings(merged.settings);
+    if (merged.entries !== current.entries) setEntries(merged.entries);
+    if (merged.workouts !== current.workouts) setWorkouts(merged.workouts);
+    if (merged.dailyGoals !== current.dailyGoals) setDailyGoals(merged.dailyGoals);
+  };
+
+  const syncNow = async () => {
+    if (!syncConfig.enabled || syncingRef.current || !syncedRef.current) return;
+    const { profileId: id, data } = syncedRef.current;
+    syncingRef.current = true;
+    setSyncStatus(s => ({ ...s, running: true }));
+    try {
+      const received = await syncProfile(id, syncConfig, data);
+      const changes = received.filter(isValidSyncedChange);
+      if (changes.length < received.length) console.warn('sync dropped invalid records', received.length - changes.length);
+      // a profile switched away from mid-run picks these up on its own next run
+      if (changes.length && syncedRef.current?.profileId === id) applyRemoteChanges(changes);
+      setSyncStatus({ running: false, lastSyncAt: new Date().toISOString(), error: null, pending: 0 });
+    } catch (e) {
+      console.warn('sync err', e);
+      const pending = await pendingChanges(id);
+      setSyncStatus(s => ({ ...s, running: false, error: String(e.message || e), pending }));
+    } finally {
+      syncingRef.current = false;
+    }
+  };
+  syncNowRef.current = syncNow;
+  useEffect(() => { if (loaded && syncConfig.enabled) syncNow(); }, [loaded, profileId, syncConfig.enabled, syncConfig.url, syncConfig.token, foregroundedAt]);
+
+  const updateSyncConfig = async (patch) => {
+    const next = await saveSyncConfig(patch);
+    if (!next.enabled || syncConfig.enabled) { setSyncConfig(next); return; }
+    // switching sync on reloads, which gives a legacy profile its own id before anything is sent
+    setLoaded(false);
+    await loadAll(profileId);
+  };
+
+  /**
+   * addSyncedProfiles()
+   * Adds the server's profiles this device doesn't have yet and resolves to how many there
+   * were. From onboarding, it switches to the first of them so its data comes down.
+   */
+  const addSyncedProfiles = async () => {
+    const known = new Set(profiles.profiles.map(p => p.id));
+    const fresh = (await listRemoteProfiles(syncConfig)).filter(p => !known.has(p.id)).map(p => ({ id: p.id, name: p.name }));
+    if (!fresh.length) return 0;
+    const activeId = user ? profileId : fresh[0].id;
+    await saveJson(STORAGE_KEYS.PROFILES, { activeId, profiles: [...profiles.profiles, ...fresh] });
+    setLoaded(false);
+    await loadAll(activeId);
+    return fresh.length;
+  };
+
+  // the switcher lists profiles by name, so keep the index in step with the profile itself
+  useEffect(() => {
+    if (!loaded || !user?.name) return;
+    setProfiles(prev => {
+      const existing = prev.profiles.find(p => p.id === prev.activeId);
+      if (existing && existing.name === user.name) return prev;
+      const list = existing
+        ? prev.profiles.map(p => (p.id === prev.activeId ? { ...p, name: user.name } : p))
+        : [...prev.profiles, { id: prev.activeId, name: user.name }];
+      return { ...prev, profiles: list };
+    });
+  }, [user?.name, loaded]);
+
+  const switchProfile = async (id) => {
+    if (id === profileId) return;
+    setLoaded(false); // nothing is saved while the other profile is being swapped in
+    await loadAll(id);
+  };
+
+  // a fresh id has no user yet, so the app shows onboarding for it
+  const addProfile = () => switchProfile(makeId());
+
+  const deleteProfile = async (id) => {
+    await cancelReminders(id);
+    await deleteProfileData(id);
+    const remaining = profiles.profiles.filter(p => p.id !== id);
+    const activeId = id === profileId ? (remaining[0]?.id || makeId()) : profileId;
+    await saveJson(STORAGE_KEYS.PROFILES, { activeId, profiles: remaining });
+    setLoaded(false);
+    await loadAll(activeId);
+  };
+
+  const clearAllData = async () => {
+    setLoaded(false);
+    await AsyncStorage.clear();
+    try { await Notifications.cancelAllScheduledNotificationsAsync(); } catch (e) { console.warn('cancel notifs err', e); }
+    await loadAll();
+  };
+
+  // today's record always follows the current goal; past days keep whatever they had
+  const recordTodayGoal = () => {
+    if (!user?.goal) return;
+    const today = formatDate();
+    setDailyGoals(prev => (prev[today] === user.goal ? prev : { ...prev, [today]: user.goal }));
+  };
+  useEffect(() => { if (loaded) recordTodayGoal(); }, [user?.goal, loaded]);
+
+  // everything rendered below reads its text in this profile's language
+  const language = languageOf(settings);
+  setLanguage(language);
+  setDayStart(dayStartMinutesOf(user, settings));
+
+  const beverages = [...DEFAULT_BEVERAGES, ...(settings.customBeverages || [])];
+  const getBeverage = (id) => findBeverage(beverages, id);
+
+  const addIntake = (amount, type = 'water', source = 'manual', timestamp = new Date()) => {
+    if (!user) return null;
+    const entry = logIntake({ amount, beverage: type, source, timestamp, customBeverages: settings.customBeverages || [] });
+    setEntries(prev => [...prev, entry]);
+    recordTodayGoal();
+    return entry;
+  };
+
+  const updateEntry = (id, patch) => {
+    setEntries(prev => prev.map(e => {
+      if (e.id !== id) return e;
+      const next = { ...e, ...patch, editedAt: new Date().toISOString() };
+      // same drink: keep the ratio it was logged with, even if that beverage has since been removed
+      const factor = next.beverage === e.beverage && e.amount > 0 ? entryHydration(e) / e.amount : getBeverage(next.beverage).factor;
+      if ('amount' in patch || 'beverage' in patch) next.hydration = Math.round(next.amount * factor);
+      return next;
+    }));
+  };
+
+  const deleteEntry = (id) => setEntries(prev => prev.filter(e => e.id !== id));
+
+  // puts back an entry removed by deleteEntry (undo)
+  const restoreEntry = (entry) => setEntries(prev => (prev.some(e => e.id === entry.id) ? prev : [...prev, entry]));
+
+  const addWorkout = (workout) => {
+    const w = createWorkout(workout);
+    setWorkouts(prev => [...prev, w]);
+    return w;
+  };
+
+  const deleteWorkout = (id) => setWorkouts(prev => prev.filter(w => w.id !== id));
+
+  const resetToday = () => {
+    const today = formatDate();
+    setEntries(prev => prev.filter(e => entryDate(e) !== today));
+  };
+
+  const totals = dailyTotals(entries);
+  const volumes = dailyVolumes(entries);
+  const bonuses = workoutBonuses(workouts);
+  const baseGoalFor = (date) => (date === formatDate() && user?.goal) ? user.goal : goalForDate(dailyGoals, date, user?.goal || DEFAULT_GOAL);
+  const workoutBonusFor = (date) => bonuses[date] || 0;
+  const weatherBonusFor = (date) => weatherBonus(baseGoalFor(date), weather[date]);
+  // the goal a day is judged against: its base goal plus that day's workouts and weather
+  const goalFor = (date) => baseGoalFor(date) + workoutBonusFor(date) + weatherBonusFor(date);
+  const achievements = evaluateAchievements(computeAchievementMetrics(entries, totals, goalFor), unlocks || {});
+
+  // persist new unlocks and celebrate them; the very first run only records what history already
+  // earned, dated by the day it was earned
+  useEffect(() => {
+    if (!loaded || !user) return;
+    const earned = achievements.filter(a => a.complete && !a.unlockedAt);
+    if (unlocks && earned.length === 0) return;
+    const now = new Date().toISOString();
+    const dates = unlocks ? {} : unlockDates(earned, entries, totals, goalFor);
+    const next = { ...(unlocks || {}) };
+    earned.forEach(a => { next[a.id] = dates[a.id] || now; });
+    setUnlocks(next);
+    if (unlocks && earned.length) {
+      setCelebration(earned[0]);
+      earned.forEach(a => notifyAchievement(a, user, profileId, unitsOf(settings)));
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [entries, dailyGoals, workouts, weather, loaded, user]);
+
+  // the pace depends on the clock, so re-plan whenever the app comes back to the foreground;
+  // drinks logged from a notification while we were away are picked up from storage too
+  useEffect(() => {
+    const sub = AppState.addEventListener('change', async state => {
+      if (state !== 'active') return;
+      if (loaded) setEntries(await loadEntries(profileIdRef.current));
+      setForegroundedAt(Date.now());
+    });
+    return () => sub.remove();
+  }, [loaded]);
+
+  const addIntakeRef = useRef(null);
+  addIntakeRef.current = addIntake;
+  useEffect(() => { setupNotificationCategories(); }, [language]);
+  useEffect(() => {
+    const sub = Notifications.addNotificationResponseReceivedListener(response => {
+      handleNotificationAction(response, (amount, source, pid) => (
+        pid && pid !== profileIdRef.current
+          ? recordIntakeFromStorage(amount, source, pid)
+          : addIntakeRef.current(amount, 'water', source)
+      ));
+    });
+    return () => sub.remove();
+  }, []);
+
+  // today's weather comes from the chosen provider; switching it off drops today's adjustment
+  const recordWeather = (date, conditions, manual) => {
+    setWeather(prev => {
+      if (!conditions) {
+        if (!prev[date]) return prev;
+        const next = { ...prev };
+        delete next[date];
+        return next;
+      }
+      return { ...prev, [date]: weatherRecord(conditions, manual) };
+    });
+  };
+  const weatherRef = useRef(weather);
+  weatherRef.current = weather;
+  useEffect(() => {
+    if (!loaded) return;
+    const today = formatDate();
+    const provider = weatherProviderFor(settings.weatherProvider, date => weatherRef.current[date]?.manual);
+    if (!provider) { recordWeather(today, null); return; }
+    provider.getConditions(today)
+      .then(conditions => recordWeather(today, conditions, weatherRef.current[today]?.manual))
+      .catch(e => console.warn('weather err', e));
+  }, [loaded, profileId, settings.weatherProvider, foregroundedAt]);
+
+  const setManualWeather = (manual) => recordWeather(formatDate(), manualConditions(manual), manual);
+
+  const todayIntake = totals[formatDate()] || 0;
+  const todayGoal = goalFor(formatDate());
+  // wake time, bedtime and quiet hours follow the local clock, so a new timezone means a new plan
+  const timeZone = Localization.useCalendars()[0]?.timeZone || formatOffset(dayjs().utcOffset());
+  useEffect(() => {
+    if (!loaded) return;
+    (async () => {
+      const ok = await registerForPushNotificationsAsync();
+      setNotifReady(ok);
+      // with reminders off this only clears the profile's pending ones; the other profiles are
+      // re-planned too, since their share of the notification limit may have changed
+      await replanAllReminders({ id: profileId, user, settings, progress: { intake: todayIntake, goal: todayGoal } });
+    })();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [
+    loaded, profileId, user, settings.remindersEnabled, settings.reminderIntervalMins, settings.wakeTime, settings.bedTime,
+    settings.weekendSchedule, settings.quietHours, language, todayIntake, todayGoal, foregroundedAt, timeZone, profiles.profiles
+  ]);
+
+  const themeMode = themeModeOf(settings);
+  const theme = makeTheme(themeMode === 'system' ? colorScheme === 'dark' : themeMode === 'dark', {
+    accent: settings.accent, customAccent: settings.customAccent, highContrast: settings.highContrast
+  });
+
+  const exportBackup = () => buildBackup({ user, entries, dailyGoals, settings, unlocks, workouts, weather });
+
+  // mode: 'merge' keeps what's on this device and adds the backup's data; 'replace' swaps it all
+  const applyBackup = (data, mode) => {
+    const local = { user, entries, dailyGoals, settings, unlocks: unlocks || {}, workouts, weather };
+    const next = mode === 'merge' ? mergeBackup(local, data) : data;
+    setUser(next.user);
+    setEntries(next.entries);
+    setDailyGoals(next.dailyGoals);
+    setWorkouts(next.workouts || []);
+    setWeather(next.weather || {});
+    // a replaced profile starts from the defaults, not from what this device had
+    setSettings({ ...DEFAULT_SETTINGS, ...next.settings });
+    setUnlocks(next.unlocks);
+  };
+
+  const value = {
+    user, setUser, entries, setEntries, totals, volumes, goalFor, baseGoalFor, setDailyGoals, addIntake, updateEntry, deleteEntry, restoreEntry, resetToday,
+    workouts, addWorkout, deleteWorkout, workoutBonusFor, weather, weatherBonusFor, setManualWeather,
+    beverages, getBeverage, achievements, setUnlocks, celebration, setCelebration, exportBackup, applyBackup,
+    profileId, profiles: profiles.profiles, switchProfile, addProfile, deleteProfile, clearAllData, storageBlocked, retryLoad: () => loadAll(),
+    settings, setSettings, units: unitsOf(settings), notifReady, theme,
+    syncConfig, syncStatus, updateSyncConfig, syncNow, addSyncedProfiles
+  };
+  return <AppContext.Provider value={value}>{children}</AppContext.Provider>;
+}
+
+// -------------------- Small UI Helpers --------------------
+function TopBar({ title }) {
+  const { theme } = useApp();
+  return (
+    <View style={[styles.topbar, { backgroundColor: 'transparent' }]}>
+      <Text accessibilityRole="header" style={[styles.topbarTitle, { color: theme.topbar }]}>{title}</Text>
+      <ProfileSwitcher />
+    </View>
+  );
+}
+
+function initialsOf(name) {
+  return name ? name.split(' ').filter(Boolean).map(w => w[0]).join('').toUpperCase() : '?';
+}
+
+function ProfileSwitcher() {
+  const { user, profileId, profiles, switchProfile, addProfile, theme } = useApp();
+  const [open, setOpen] = useState(false);
+  const pick = (fn) => { setOpen(false); fn(); };
+
+  return (
+    <>
+      <TouchableOpacity style={[styles.profileChip, { backgroundColor: theme.primary }]} onPress={() => setOpen(true)}
+        accessibilityRole="button" accessibilityLabel={t('a11y.profileButton', { name: user?.name || '' })} accessibilityHint={t('a11y.profileHint')}>
+        <Text maxFontSizeMultiplier={1.3} style={{ color: theme.onPrimary, fontWeight: '700' }}>{initialsOf(user?.name)}</Text>
+      </TouchableOpacity>
+      <Modal visible={open} transparent animationType="fade" onRequestClose={() => setOpen(false)}>
+        <TouchableOpacity style={styles.modalBackdrop} activeOpacity={1} onPress={() => setOpen(false)}
+          accessibilityRole="button" accessibilityLabel={t('a11y.close')}>
+          <View style={[styles.welcomeCard, { backgroundColor: theme.surface, width: '80%' }]}>
+            <Text style={[styles.title, { color: theme.text }]}>{t('profiles.title')}</Text>
+            {profiles.map(p => (
+              <TouchableOpacity key={p.id} style={[styles.historyRow, { width: '100%', borderColor: theme.border }]} onPress={() => pick(() => switchProfile(p.id))}
+                accessibilityRole="button" accessibilityState={{ selected: p.id === profileId }}>
+                <Text style={{ color: theme.text, fontWeight: p.id === profileId ? '700' : '400' }}>{p.name}</Text>
+                {p.id === profileId ? <Ionicons name="checkmark" size={18} color={theme.primary} /> : null}
+              </TouchableOpacity>
+            ))}
+            <TouchableOpacity style={[styles.secondaryBtn, { backgroundColor: theme.card, borderColor: theme.border }]} onPress={() => pick(addProfile)} accessibilityRole="button">
+              <Text style={{ color: theme.primary, fontWeight: '600' }}>{t('profiles.add')}</Text>
+            </TouchableOpacity>
+          </View>
+        </TouchableOpacity>
+      </Modal>
+    </>
+  );
+}
+
+// `noneLabel` adds a first chip that picks null
+function BeveragePicker({ value, onChange, noneLabel }) {
+  const { beverages, theme } = useApp();
+  return (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ maxWidth: '100%' }} contentContainerStyle={{ paddingVertical: 6 }}>
+      {noneLabel ? (
+        <TouchableOpacity onPress={() => onChange(null)} accessibilityRole="button" accessibilityState={{ selected: value == null }}
+          style={[styles.chip, { borderColor: value == null ? theme.primary : theme.border, backgroundColor: value == null ? theme.primary : theme.card }]}>
+          <Text style={{ color: value == null ? theme.onPrimary : theme.text }}>{noneLabel}</Text>
+        </TouchableOpacity>
+      ) : null}
+      {beverages.map(b => {
+        const active = b.id === value;
+        return (
+          <TouchableOpacity key={b.id} onPress={() => onChange(b.id)}
+            accessibilityRole="button" accessibilityLabel={b.name} accessibilityState={{ selected: active }}
+            style={[styles.chip, { borderColor: active ? theme.primary : theme.border, backgroundColor: active ? theme.primary : theme.card }]}>
+            <Ionicons name={b.icon} size={16} color={active ? theme.onPrimary : theme.primary} />
+            <Text style={{ marginLeft: 4, color: active ? theme.onPrimary : theme.text }}>{b.name}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </ScrollView>
+  );
+}
+
+/**
+ * ChoiceChips({ options, value, onChange })
+ * Single choice from [{ id, label }], shown as a wrapping row of chips.
+ */
+function ChoiceChips({ options, value, onChange }) {
+  const { theme } = useApp();
+  return (
+    <View style={styles.chipWrap}>
+      {options.map(o => {
+        const active = o.id === value;
+        return (
+          <TouchableOpacity key={o.id} onPress={() => onChange(o.id)} accessibilityRole="button" accessibilityState={{ selected: active }}
+            style={[styles.chip, { marginTop: 6, borderColor: active ? theme.primary : theme.border, backgroundColor: active ? theme.primary : theme.card }]}>
+            <Text style={{ color: active ? theme.onPrimary : theme.text }}>{o.label}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+}
+
+function UnitPicker({ value, onChange }) {
+  return <ChoiceChips options={Object.entries(UNIT_SYSTEMS).map(([id, u]) => ({ id, label: u.label }))} value={value} onChange={onChange} />;
+}
+
+/**
+ * TimeField({ label, value, onChange, style, accessibilityLabel })
+ * An 'HH:MM' time set with the platform's picker: the clock dialog on Android, a spinner sheet
+ * on iOS. The web has no native picker, so there the time is typed and checked on save.
+ */
+function TimeField({ label, value, onChange, style, accessibilityLabel = label }) {
+  const { theme } = useApp();
+  const [open, setOpen] = useState(false);
+  const parsed = parseTime(value);
+  const fieldStyle = [styles.input, { width: '100%', backgroundColor: theme.inputBg, borderColor: theme.border }];
+
+  if (Platform.OS === 'web') {
+    return (
+      <View style={[{ width: 300, maxWidth: '100%' }, style]}>
+        <TextInput style={[fieldStyle, { color: theme.text }]} placeholder={label} placeholderTextColor={theme.subtext} value={value} onChangeText={onChange} accessibilityLabel={accessibilityLabel} />
+      </View>
+    );
+  }
+
+  const onPick = (event, date) => {
+    if (Platform.OS === 'android') setOpen(false);
+    if (event.type === 'set' && date) onChange(timeOfDate(date));
+  };
+  const picker = (
+    <DateTimePicker value={timeToDate(value)} mode="time" is24Hour display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+      themeVariant={theme.isDark ? 'dark' : 'light'} onChange={onPick} />
+  );
+
+  return (
+    <View style={[{ width: 300, maxWidth: '100%' }, style]}>
+      <TouchableOpacity style={fieldStyle} onPress={() => setOpen(true)} accessibilityRole="button"
+        accessibilityLabel={`${accessibilityLabel}: ${parsed.ok ? parsed.value : t('time.notSet')}`} accessibilityHint={t('time.pickHint')}>
+        <Text style={{ color: theme.subtext, fontSize: 12, textAlign: 'center' }}>{label}</Text>
+        <Text style={{ color: parsed.ok ? theme.text : theme.danger, fontSize: 16, textAlign: 'center' }}>{parsed.ok ? parsed.value : '--:--'}</Text>
+      </TouchableOpacity>
+      {open && Platform.OS === 'android' ? picker : null}
+      {Platform.OS === 'ios' ? (
+        <Modal visible={open} transparent animationType="fade" onRequestClose={() => setOpen(false)}>
+          <View style={styles.modalBackdrop}>
+            <View style={[styles.welcomeCard, { backgroundColor: theme.surface, width: '90%' }]}>
+              <Text accessibilityRole="header" style={[styles.title, { color: theme.text }]}>{label}</Text>
+              {picker}
+              <TouchableOpacity style={styles.primaryBtn} onPress={() => setOpen(false)} accessibilityRole="button">
+                <LinearGradient colors={theme.gradientPrimary} style={styles.btnGrad}>
+                  <Text style={styles.btnText}>{t('common.done')}</Text>
+                </LinearGradient>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </Modal>
+      ) : null}
+    </View>
+  );
+}
+
+/**
+ * GoalFactorsForm({ value, onChange })
+ * The calculator inputs beyond weight and age. Pregnancy and breastfeeding only apply to
+ * the female option and are cleared when another one is picked.
+ */
+function GoalFactorsForm({ value, onChange }) {
+  const { theme } = useApp();
+  const set = (patch) => onChange({ ...value, ...patch });
+  return (
+    <View style={{ width: '100%', marginTop: 8 }}>
+      <Text style={[styles.settingLabel, { color: theme.text }]}>{t('goal.form.sex')}</Text>
+      <ChoiceChips options={SEX_OPTIONS} value={value.sex}
+        onChange={sex => set(sex === 'female' ? { sex } : { sex, pregnant: false, breastfeeding: false })} />
+      <Text style={[styles.settingLabel, { color: theme.text, marginTop: 8 }]}>{t('goal.form.activity')}</Text>
+      <ChoiceChips options={ACTIVITY_LEVELS} value={value.activity} onChange={activity => set({ activity })} />
+      <Text style={[styles.settingLabel, { color: theme.text, marginTop: 8 }]}>{t('goal.form.climate')}</Text>
+      <ChoiceChips options={CLIMATES} value={value.climate} onChange={climate => set({ climate })} />
+      {value.sex === 'female' ? (
+        <>
+          <View style={styles.settingRow}>
+            <Text style={[styles.settingLabel, { color: theme.text }]}>{t('goal.form.pregnant')}</Text>
+            <Switch value={!!value.pregnant} onValueChange={pregnant => set({ pregnant })} accessibilityLabel={t('goal.form.pregnant')} />
+          </View>
+          <View style={styles.settingRow}>
+            <Text style={[styles.settingLabel, { color: theme.text }]}>{t('goal.form.breastfeeding')}</Text>
+            <Switch value={!!value.breastfeeding} onValueChange={breastfeeding => set({ breastfeeding })} accessibilityLabel={t('goal.form.breastfeeding')} />
+          </View>
+        </>
+      ) : null}
+    </View>
+  );
+}
+
+// the steps from calculateGoal, one row per factor, ending in the total
+function GoalBreakdown({ result }) {
+  const { units, theme } = useApp();
+  if (!result.steps.length) return <Text style={[styles.help, { color: theme.subtext }]}>{t('goal.needsWeightAndAge')}</Text>;
+  return (
+    <View style={[styles.summaryCard, { width: '100%', backgroundColor: theme.card, borderColor: theme.border }]}>
+      {result.steps.map((st, i) => (
+        <View key={st.label} style={styles.breakdownRow}>
+          <Text style={{ flex: 1, color: theme.text }}>{st.label}</Text>
+          <Text style={{ color: i === 0 ? theme.text : theme.subtext }}>{i === 0 ? '' : st.change > 0 ? '+' : '−'}{formatVolume(Math.abs(st.change), units)}</Text>
+        </View>
+      ))}
+      <View style={[styles.breakdownRow, { borderTopWidth: 1, borderColor: theme.border, marginTop: 4 }]}>
+        <Text style={{ flex: 1, fontWeight: '700', color: theme.text }}>{t('goal.dailyGoal')}</Text>
+        <Text style={{ fontWeight: '700', color: theme.primary }}>{formatVolume(result.goal, units)}</Text>
+      </View>
+    </View>
+  );
+}
+
+/**
+ * Snackbar({ visible, message, actionLabel, onAction, onDismiss })
+ * Bottom toast with an optional action; hides itself after `duration` ms.
+ */
+function Snackbar({ visible, message, actionLabel, onAction, onDismiss, duration = 5000 }) {
+  const { theme } = useApp();
+  const opacity = useRef(new Animated.Value(0)).current;
+
+  useEffect(() => {
+    Animated.timing(opacity, { toValue: visible ? 1 : 0, duration: 200, useNativeDriver: true }).start();
+    if (!visible) return undefined;
+    AccessibilityInfo.announceForAccessibility(message);
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [visible, message]);
+
+  if (!visible) return null;
+  return (
+    <Animated.View style={[styles.snackbar, { opacity, backgroundColor: theme.text }]}>
+      <Text style={{ color: theme.background, flex: 1 }}>{message}</Text>
+      {actionLabel ? (
+        <TouchableOpacity onPress={() => { onAction && onAction(); onDismiss(); }} accessibilityRole="button">
+          <Text style={{ color: theme.inverseAccent, fontWeight: '700', marginLeft: 12 }}>{actionLabel}</Text>
+        </TouchableOpacity>
+      ) : null}
+    </Animated.View>
+  );
+}
+
+const SWIPE_DELETE_THRESHOLD = 100;
+
+function SwipeableRow({ children, onDelete }) {
+  const { theme } = useApp();
+  const translateX = useRef(new Animated.Value(0)).current;
+  const onDeleteRef = useRef(onDelete);
+  onDeleteRef.current = onDelete;
+
+  const responder = useRef(PanResponder.create({
+    onMoveShouldSetPanResponder: (_, g) => Math.abs(g.dx) > 10 && Math.abs(g.dx) > Math.abs(g.dy),
+    onPanResponderMove: (_, g) => translateX.setValue(Math.min(0, g.dx)),
+    onPanResponderRelease: (_, g) => {
+      if (g.dx < -SWIPE_DELETE_THRESHOLD) {
+        Animated.timing(translateX, { toValue: -Dimensions.get('window').width, duration: 180, useNativeDriver: true })
+          .start(() => onDeleteRef.current());
+      } else {
+        Animated.spring(translateX, { toValue: 0, useNativeDriver: true }).start();
+      }
+    },
+    onPanResponderTerminate: () => Animated.spring(translateX, { toValue: 0, useNativeDriver: true }).start()
+  })).current;
+
+  return (
+    <View style={styles.swipeContainer}>
+      <View style={[styles.swipeBehind, { backgroundColor: theme.danger }]} importantForAccessibility="no-hide-descendants" accessibilityElementsHidden>
+        <Ionicons name="trash-outline" size={20} color={theme.onDanger} />
+      </View>
+      <Animated.View style={{ transform: [{ translateX }], backgroundColor: theme.surface }} {...responder.panHandlers}>
+        {children}
+      </Animated.View>
+    </View>
+  );
+}
+
 /**
- * scheduleReminders(user, settings)
+ * EntryEditor({ visible, date, entry, onClose })
+ * Edits `entry`, or backfills a new one on `date` when no entry is given.
  */
-async function scheduleReminders(user, settings) {
-  try {
-    await cancelScheduledNotificationsAndClearStorage();
-
-    if (!user || !settings || !settings.remindersEnabled) return [];
+function EntryEditor({ visible, date, entry, onClose }) {
+  const { addIntake, updateEntry, units, theme } = useApp();
+  const [amount, setAmount] = useState('');
+  const [time, setTime] = useState('');
+  const [beverage, setBeverage] = useState('water');
+  const day = entry ? entryDate(entry) : date;
 
-    const [wakeH, wakeM] = (user?.wakeTime || settings?.wakeTime || '07:00').split(':').map(Number);
-    const [bedH, bedM] = (user?.bedTime || settings?.bedTime || '23:00').split(':').map(Number);
-    const interval = Math.max(15, (settings.reminderIntervalMins || 120)); // min 15 min
+  useEffect(() => {
+    if (!visible) return;
+    setAmount(entry ? String(toDisplayVolume(entry.amount, units)) : '');
+    setBeverage(entry ? entry.beverage : 'water');
+    if (entry) setTime(loggedTime(entry).format('HH:mm'));
+    else setTime(day === formatDate() ? dayjs().format('HH:mm') : '12:00');
+  }, [visible, entry, day]);
+
+  const onSave = () => {
+    // an untouched amount keeps its exact ml rather than a round trip through fl oz
+    const n = entry && amount === String(toDisplayVolume(entry.amount, units)) ? entry.amount : parseVolume(amount, units);
+    if (!n) { Alert.alert(t('entries.invalidAmount', { unit: UNIT_SYSTEMS[units].volume })); return; }
+    const at = parseTime(time);
+    if (!at.ok) { Alert.alert(describeTimeError(at.error, t('entries.timePlaceholder'))); return; }
+    // the time is read in the zone the entry was logged in, like the list shows it
+    const timestamp = fromLoggedTime(timeOnDay(day, at.minutes), entry?.utcOffset);
+    if (timestamp.isAfter(dayjs())) { Alert.alert(t('entries.future')); return; }
+    if (entry) updateEntry(entry.id, { amount: n, beverage, timestamp: timestamp.toISOString() });
+    else addIntake(n, beverage, 'backfill', timestamp);
+    onClose();
+  };
 
-    const wakeMinutes = (wakeH || 7) * 60 + (wakeM || 0);
-    let bedMinutes = (bedH || 23) * 60 + (bedM || 0);
-    if (bedMinutes <= wakeMinutes) bedMinutes += 24 * 60;
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.modalBackdrop}>
+        <View style={[styles.welcomeCard, { backgroundColor: theme.surface, width: '90%' }]}>
+          <Text style={[styles.title, { color: theme.text }]}>{entry ? t('entries.editTitle') : t('entries.addPastTitle')}</Text>
+          <Text style={{ color: theme.subtext }}>{formatDay(day, 'day')}</Text>
+          <TextInput
+            style={[styles.input, { backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]}
+            placeholder={t('entries.amountPlaceholder', { unit: UNIT_SYSTEMS[units].volume })} placeholderTextColor={theme.subtext}
+            value={amount} onChangeText={setAmount} keyboardType="numeric" accessibilityLabel={t('entries.amountPlaceholder', { unit: UNIT_SYSTEMS[units].volume })} />
+          <TimeField label={t('entries.timePlaceholder')} value={time} onChange={setTime} />
+          <BeveragePicker value={beverage} onChange={setBeverage} />
+          <TouchableOpacity style={styles.primaryBtn} onPress={onSave} accessibilityRole="button">
+            <LinearGradient colors={theme.gradientPrimary} style={styles.btnGrad}>
+              <Text style={styles.btnText}>{t('common.save')}</Text>
+            </LinearGradient>
+          </TouchableOpacity>
+          <TouchableOpacity style={[styles.secondaryBtn, { backgroundColor: theme.card, borderColor: theme.border }]} onPress={onClose} accessibilityRole="button">
+            <Text style={{ color: theme.primary, fontWeight: '600' }}>{t('common.cancel')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
 
-    const times = [];
-    for (let t = wakeMinutes; t <= bedMinutes; t += interval) {
-      const minutesOfDay = t % (24 * 60);
-      const hour = Math.floor(minutesOfDay / 60);
-      const minute = Math.floor(minutesOfDay % 60);
-      times.push({ hour, minute });
-    }
-    if (times.length === 0) times.push({ hour: wakeH, minute: wakeM });
+/**
+ * DayEntries({ date, onDeleted })
+ * The drinks logged on one day: tap to edit, swipe left to delete.
+ */
+function DayEntries({ date, onDeleted }) {
+  const { entries, deleteEntry, getBeverage, units, theme } = useApp();
+  const [editorVisible, setEditorVisible] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const dayEntries = entriesForDate(entries, date);
+  const breakdown = beverageBreakdown(dayEntries);
 
-    const ok = await registerForPushNotificationsAsync();
-    if (!ok) {
-      console.warn('No push permission; skipping scheduling');
-      return [];
-    }
+  const openEditor = (entry) => { setEditing(entry); setEditorVisible(true); };
 
-    const createdIds = [];
-    for (const tm of times) {
-      const id = await Notifications.scheduleNotificationAsync({
-        content: {
-          title: "HydrateMate ⛲",
-          body: "Time to drink water — tap to log quickly!",
-          data: { screen: 'Home' }
-        },
-        trigger: {
-          hour: tm.hour,
-          minute: tm.minute,
-          repeats: true
-        }
-      });
-      createdIds.push(id);
-    }
-    await saveJson(STORAGE_KEYS.NOTIF_IDS, createdIds);
-    console.log('Scheduled reminders', createdIds.length);
-    return createdIds;
-  } catch (e) { console.warn('scheduleReminders err', e); return []; }
+  return (
+    <View style={{ width: '100%', alignItems: 'center', marginTop: 12 }}>
+      <Text accessibilityRole="header" style={[styles.sectionTitle, { color: theme.primary, marginBottom: 4 }]}>{formatDay(date, 'dayFull')}</Text>
+      {dayEntries.length === 0 ? <Text style={[styles.help, { color: theme.subtext }]}>{t('entries.none')}</Text> : null}
+      {breakdown.length > 0 ? (
+        <View style={[styles.summaryCard, { backgroundColor: theme.card, borderColor: theme.border, marginTop: 4, marginBottom: 8 }]}>
+          {breakdown.map(row => {
+            const b = getBeverage(row.beverage);
+            return (
+              <View key={row.beverage} style={styles.breakdownRow}>
+                <Ionicons name={b.icon} size={16} color={theme.primary} />
+                <Text style={{ flex: 1, marginLeft: 6, color: theme.text }}>{b.name}</Text>
+                <Text style={{ color: theme.text }}>{formatVolume(row.volume, units)}</Text>
+                <Text style={{ color: theme.subtext, marginLeft: 8 }}>→ {formatVolume(row.hydration, units)}</Text>
+              </View>
+            );
+          })}
+        </View>
+      ) : null}
+      {dayEntries.map(e => {
+        const b = getBeverage(e.beverage);
+        return (
+          <SwipeableRow key={e.id} onDelete={() => { deleteEntry(e.id); onDeleted && onDeleted(e); }}>
+            <TouchableOpacity style={[styles.historyRow, { borderColor: theme.border }]} onPress={() => openEditor(e)}
+              accessibilityRole="button" accessibilityHint={t('a11y.drinkEntryHint')}
+              accessibilityLabel={[
+                t('a11y.drinkEntry', { time: loggedTime(e).format('HH:mm'), drink: b.name, amount: formatVolume(e.amount, units) }),
+                isAwayEntry(e) ? zoneLabel(e) : null
+              ].filter(Boolean).join(', ')}
+              accessibilityActions={[{ name: 'delete', label: t('common.delete') }]}
+              onAccessibilityAction={() => { deleteEntry(e.id); onDeleted && onDeleted(e); }}>
+              <Text style={{ color: theme.text, flexShrink: 1 }}>
+                {loggedTime(e).format('HH:mm')}  <Ionicons name={b.icon} size={14} color={theme.subtext} /> {b.name}
+                {isAwayEntry(e) ? <Text style={{ color: theme.subtext, fontSize: 12 }}>{'\n'}{zoneLabel(e)}</Text> : null}
+              </Text>
+              <Text style={{ fontWeight: '700', color: theme.primary }}>{formatVolume(e.amount, units)}</Text>
+            </TouchableOpacity>
+          </SwipeableRow>
+        );
+      })}
+      <TouchableOpacity style={[styles.secondaryBtn, { backgroundColor: theme.card, borderColor: theme.border }]} onPress={() => openEditor(null)} accessibilityRole="button">
+        <Text style={{ color: theme.primary, fontWeight: '600' }}>{t('entries.addPast')}</Text>
+      </TouchableOpacity>
+      <EntryEditor visible={editorVisible} date={date} entry={editing} onClose={() => setEditorVisible(false)} />
+    </View>
+  );
 }
 
-// -------------------- App Provider --------------------
-function AppProvider({ children }) {
-  const [user, setUser] = useState(null);
-  const [intakeLog, setIntakeLog] = useState([]);
-  const [settings, setSettings] = useState({ darkMode: false, remindersEnabled: true, reminderIntervalMins: 120, wakeTime: '07:00', bedTime: '23:00' });
-  const [notifReady, setNotifReady] = useState(false);
-
-  // load saved data
-  useEffect(() => {
-    (async () => {
-      const savedUser = await loadJson(STORAGE_KEYS.USER, null);
-      const savedLog = await loadJson(STORAGE_KEYS.INTAKE_LOG, []);
-      const savedSettings = await loadJson(STORAGE_KEYS.SETTINGS, settings);
-      setUser(savedUser);
-      setIntakeLog(savedLog);
-      setSettings(prev => ({ ...prev, ...(savedSettings || {}) }));
-    })();
-  }, []);
-
-  useEffect(() => { saveJson(STORAGE_KEYS.USER, user); }, [user]);
-  useEffect(() => { saveJson(STORAGE_KEYS.INTAKE_LOG, intakeLog); }, [intakeLog]);
-  useEffect(() => { saveJson(STORAGE_KEYS.SETTINGS, settings); }, [settings]);
+/**
+ * WorkoutEditor({ visible, date, onClose })
+ * Logs a workout on `date` (now for today, midday for a past day) and previews its bonus.
+ */
+function WorkoutEditor({ visible, date, onClose }) {
+  const { addWorkout, units, theme } = useApp();
+  const [type, setType] = useState('run');
+  const [duration, setDuration] = useState('30');
+  const [intensity, setIntensity] = useState('moderate');
+  const mins = parseInt(duration);
+  const valid = mins > 0 && mins <= 600;
 
   useEffect(() => {
-    (async () => {
-      const ok = await registerForPushNotificationsAsync();
-      setNotifReady(ok);
-      if (settings.remindersEnabled) {
-        await scheduleReminders(user, settings);
-      } else {
-        await cancelScheduledNotificationsAndClearStorage();
-      }
-    })();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [user, settings.remindersEnabled, settings.reminderIntervalMins, settings.wakeTime, settings.bedTime]);
-
-  const addIntake = (amount, type = 'water') => {
-    if (!user) return;
-    const today = formatDate();
-    const cloned = [...intakeLog];
-    const idx = cloned.findIndex(r => r.date === today);
-    if (idx >= 0) cloned[idx].intake += amount;
-    else cloned.push({ date: today, intake: amount });
-    setIntakeLog(cloned);
+    if (!visible) return;
+    setType('run');
+    setDuration('30');
+    setIntensity('moderate');
+  }, [visible]);
+
+  const onSave = () => {
+    if (!valid) { Alert.alert(t('workouts.invalidDuration')); return; }
+    const timestamp = date === formatDate() ? new Date() : timeOnDay(date, 12 * 60).toDate();
+    addWorkout({ type, durationMins: mins, intensity, timestamp });
+    onClose();
   };
 
-  const resetToday = () => {
-    const today = formatDate();
-    const cloned = intakeLog.filter(r => r.date !== today);
-    setIntakeLog(cloned);
-  };
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.modalBackdrop}>
+        <View style={[styles.welcomeCard, { backgroundColor: theme.surface, width: '90%' }]}>
+          <Text style={[styles.title, { color: theme.text }]}>{t('workouts.logTitle')}</Text>
+          <Text style={{ color: theme.subtext }}>{formatDay(date, 'day')}</Text>
+          <ChoiceChips options={WORKOUT_TYPES.map(w => ({ id: w.id, label: w.name }))} value={type} onChange={setType} />
+          <TextInput
+            style={[styles.input, { backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]}
+            placeholder={t('workouts.durationPlaceholder')} placeholderTextColor={theme.subtext}
+            value={duration} onChangeText={setDuration} keyboardType="numeric" accessibilityLabel={t('workouts.durationPlaceholder')} />
+          <ChoiceChips options={WORKOUT_INTENSITIES} value={intensity} onChange={setIntensity} />
+          {valid ? <Text style={[styles.help, { color: theme.subtext }]}>{t('workouts.adds', { amount: formatVolume(workoutBonus(mins, intensity), units) })}</Text> : null}
+          <TouchableOpacity style={styles.primaryBtn} onPress={onSave} accessibilityRole="button">
+            <LinearGradient colors={theme.gradientPrimary} style={styles.btnGrad}>
+              <Text style={styles.btnText}>{t('common.save')}</Text>
+            </LinearGradient>
+          </TouchableOpacity>
+          <TouchableOpacity style={[styles.secondaryBtn, { backgroundColor: theme.card, borderColor: theme.border }]} onPress={onClose} accessibilityRole="button">
+            <Text style={{ color: theme.primary, fontWeight: '600' }}>{t('common.cancel')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
 
-  const theme = makeTheme(settings.darkMode);
+/**
+ * DayWorkouts({ date })
+ * The workouts logged on one day with the bonus each adds, and a button to log another.
+ */
+function DayWorkouts({ date }) {
+  const { workouts, deleteWorkout, units, theme } = useApp();
+  const [editorVisible, setEditorVisible] = useState(false);
+  const dayWorkouts = workoutsForDate(workouts, date);
 
-  const value = { user, setUser, intakeLog, setIntakeLog, addIntake, resetToday, settings, setSettings, notifReady, theme };
-  return <AppContext.Provider value={value}>{children}</AppContext.Provider>;
+  return (
+    <View style={[styles.summaryCard, { backgroundColor: theme.card, borderColor: theme.border }]}>
+      <Text style={{ fontWeight: '600', color: theme.text }}>{t('workouts.title')}</Text>
+      {dayWorkouts.map(w => {
+        const type = findWorkoutType(w.type);
+        const level = WORKOUT_INTENSITIES.find(i => i.id === w.intensity);
+        return (
+          <View key={w.id} style={styles.breakdownRow}>
+            <Ionicons name={type.icon} size={16} color={theme.primary} />
+            <Text style={{ flex: 1, marginLeft: 6, color: theme.text }}>
+              {t('workouts.summary', { type: type.name, minutes: w.durationMins })}{level ? ` · ${level.label.toLowerCase()}` : ''}
+            </Text>
+            <Text style={{ color: theme.subtext, marginRight: 8 }}>+{formatVolume(w.bonus, units)}</Text>
+            <TouchableOpacity onPress={() => deleteWorkout(w.id)} accessibilityRole="button" accessibilityLabel={t('a11y.remove', { name: type.name })}>
+              <Ionicons name="close-circle-outline" size={20} color={theme.subtext} />
+            </TouchableOpacity>
+          </View>
+        );
+      })}
+      <TouchableOpacity style={[styles.secondaryBtn, { backgroundColor: theme.card, borderColor: theme.border }]} onPress={() => setEditorVisible(true)} accessibilityRole="button">
+        <Text style={{ color: theme.primary, fontWeight: '600' }}>{t('workouts.log')}</Text>
+      </TouchableOpacity>
+      <WorkoutEditor visible={editorVisible} date={date} onClose={() => setEditorVisible(false)} />
+    </View>
+  );
 }
 
-// -------------------- Small UI Helpers --------------------
-function TopBar({ title }) {
-  const { theme } = useApp();
+/**
+ * WeatherToday()
+ * Explains today's weather adjustment; with the manual provider it also holds the
+ * "hot" / "humid" toggles.
+ */
+function WeatherToday() {
+  const { settings, weather, weatherBonusFor, setManualWeather, units, theme } = useApp();
+  if (settings.weatherProvider === 'off') return null;
+  const today = formatDate();
+  const record = weather[today];
+  const manual = record?.manual || { hot: false, humid: false };
+  const bonus = weatherBonusFor(today);
+
   return (
-    <View style={[styles.topbar, { backgroundColor: 'transparent' }]}>
-      <Text style={[styles.topbarTitle, { color: theme.topbar }]}>{title}</Text>
+    <View style={[styles.summaryCard, { backgroundColor: theme.card, borderColor: theme.border }]}>
+      <Text style={{ fontWeight: '600', color: theme.text }}>{t('weather.today')}</Text>
+      {settings.weatherProvider === 'manual' ? (
+        <View style={styles.chipWrap}>
+          {[['hot', t('weather.hotChip')], ['humid', t('weather.humidChip')]].map(([key, label]) => {
+            const active = !!manual[key];
+            return (
+              <TouchableOpacity key={key} onPress={() => setManualWeather({ ...manual, [key]: !active })}
+                accessibilityRole="checkbox" accessibilityState={{ checked: active }}
+                style={[styles.chip, { marginTop: 6, borderColor: active ? theme.primary : theme.border, backgroundColor: active ? theme.primary : theme.card }]}>
+                <Text style={{ color: active ? theme.onPrimary : theme.text }}>{label}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      ) : null}
+      {bonus > 0 ? (
+        <Text style={{ color: theme.subtext, marginTop: 6, textAlign: 'center' }}>
+          {t('weather.bonus', { reasons: record.reasons.map(r => describeWeatherReason(r, record, units)).join(' · '), amount: formatVolume(bonus, units) })}
+        </Text>
+      ) : (
+        <Text style={{ color: theme.subtext, marginTop: 6 }}>
+          {record ? t('weather.noAdjustment') : settings.weatherProvider === 'manual' ? t('weather.tapIfHot') : t('weather.noReading')}
+        </Text>
+      )}
     </View>
   );
 }
 
 // -------------------- Welcome Screen --------------------
+// shown instead of the app while stored data can't be used; nothing is read or written meanwhile
+function StorageBlockedScreen() {
+  const { retryLoad, theme } = useApp();
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: theme.background }}>
+      <StatusBar barStyle={theme.statusBarStyle} />
+      <View style={styles.centered}>
+        <Text accessibilityRole="header" style={[styles.welcomeTitle, { color: theme.text }]}>{t('storage.title')}</Text>
+        <Text style={[styles.welcomeSubtitle, { color: theme.subtext }]}>{t('storage.blocked')}</Text>
+        <TouchableOpacity style={styles.startBtn} onPress={retryLoad} accessibilityRole="button">
+          <LinearGradient colors={theme.gradientPrimary} style={styles.btnGrad}>
+            <Text style={styles.btnText}>{t('storage.retry')}</Text>
+          </LinearGradient>
+        </TouchableOpacity>
+      </View>
+    </SafeAreaView>
+  );
+}
+
 function WelcomeScreen({ navigation }) {
-  const { setUser, setSettings, settings, theme } = useApp();
+  const { setUser, setSettings, settings, profileId, profiles, switchProfile, theme } = useApp();
   const [name, setName] = useState('');
   const [weight, setWeight] = useState('');
   const [age, setAge] = useState('');
   const [wakeTime, setWakeTime] = useState('07:00');
   const [bedTime, setBedTime] = useState('23:00');
-
-  const calculateWaterGoal = () => {
-    const w = parseFloat(weight); const a = parseInt(age);
-    if (!w || !a) return 2000;
-    let ml = w * 35;
-    if (a < 30) ml *= 1.05; else if (a > 55) ml *= 0.9;
-    return Math.round(ml);
-  };
+  const [units, setUnits] = useState(unitsOf(settings));
+  const [factors, setFactors] = useState(DEFAULT_GOAL_FACTORS);
+  const [showSync, setShowSync] = useState(false);
+  const result = calculateGoal({ ...factors, weight: parseWeight(weight, units), age: parseInt(age) });
 
   const onStart = async () => {
-    if (!name || !weight || !age) { Alert.alert('Please fill required fields'); return; }
-    const goal = calculateWaterGoal();
-    const userObj = { name, weight: parseFloat(weight), age: parseInt(age), wakeTime, bedTime, goal, createdAt: new Date().toISOString() };
+    const { errors, profile } = validateProfile({ name, weight, age }, units);
+    errors.push(...validateSchedule({ wakeTime, bedTime }));
+    if (errors.length) { Alert.alert(t('validation.title'), errors.join('\n')); return; }
+    const schedule = { wakeTime: parseTime(wakeTime).value, bedTime: parseTime(bedTime).value };
+    const userObj = { ...profile, ...factors, ...schedule, goal: result.goal, createdAt: new Date().toISOString() };
     setUser(userObj);
-    setSettings(s => ({ ...s, wakeTime, bedTime }));
-    await saveJson(STORAGE_KEYS.USER, userObj);
+    setSettings(s => ({ ...s, ...schedule, units }));
+    await saveJson(profileKey(STORAGE_KEYS.USER, profileId), userObj);
     if (navigation && navigation.replace) navigation.replace('MainTabs');
   };
 
   return (
     <SafeAreaView style={{ flex: 1, backgroundColor: theme.background }}>
       <StatusBar barStyle={theme.statusBarStyle} />
-      <LinearGradient colors={theme.gradientLight} style={styles.centered}>
-        <Text style={[styles.welcomeTitle, { color: theme.text }]}>Welcome to HydrateMate</Text>
-        <Text style={[styles.welcomeSubtitle, { color: theme.subtext }]}>Personalize your hydration plan</Text>
-
-        <View style={[styles.welcomeCard, { backgroundColor: theme.card }]}>
-          <TextInput
-            placeholder="Name"
-            placeholderTextColor={theme.subtext}
-            style={[styles.input, { backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]}
-            value={name} onChangeText={setName} />
-          <View style={{ flexDirection: 'row', justifyContent: 'space-between', width: '100%' }}>
-            <TextInput placeholder="Weight (kg)" placeholderTextColor={theme.subtext} style={[styles.input, { width: '48%', backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]} value={weight} onChangeText={setWeight} keyboardType="numeric" />
-            <TextInput placeholder="Age" placeholderTextColor={theme.subtext} style={[styles.input, { width: '48%', backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]} value={age} onChangeText={setAge} keyboardType="numeric" />
-          </View>
-          <View style={{ flexDirection: 'row', justifyContent: 'space-between', width: '100%' }}>
-            <TextInput placeholder="Wake-up (HH:MM)" placeholderTextColor={theme.subtext} style={[styles.input, { width: '48%', backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]} value={wakeTime} onChangeText={setWakeTime} />
-            <TextInput placeholder="Bedtime (HH:MM)" placeholderTextColor={theme.subtext} style={[styles.input, { width: '48%', backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]} value={bedTime} onChangeText={setBedTime} />
+      <LinearGradient colors={theme.gradientLight} style={{ flex: 1 }}>
+        <ScrollView contentContainerStyle={styles.centered}>
+          <Text accessibilityRole="header" style={[styles.welcomeTitle, { color: theme.text }]}>{t('welcome.title')}</Text>
+          <Text style={[styles.welcomeSubtitle, { color: theme.subtext }]}>{t('welcome.subtitle')}</Text>
+
+          <View style={[styles.welcomeCard, { backgroundColor: theme.card }]}>
+            <TextInput
+              placeholder={t('welcome.name')}
+              placeholderTextColor={theme.subtext}
+              style={[styles.input, { backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]}
+              value={name} onChangeText={setName} accessibilityLabel={t('welcome.name')} />
+            <UnitPicker value={units} onChange={setUnits} />
+            <View style={{ flexDirection: 'row', justifyContent: 'space-between', width: '100%' }}>
+              <TextInput placeholder={t('welcome.weight', { unit: UNIT_SYSTEMS[units].weight })} placeholderTextColor={theme.subtext} style={[styles.input, { width: '48%', backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]} value={weight} onChangeText={setWeight} keyboardType="numeric" accessibilityLabel={t('welcome.weight', { unit: UNIT_SYSTEMS[units].weight })} />
+              <TextInput placeholder={t('welcome.age')} placeholderTextColor={theme.subtext} style={[styles.input, { width: '48%', backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]} value={age} onChangeText={setAge} keyboardType="numeric" accessibilityLabel={t('welcome.age')} />
+            </View>
+            <View style={{ flexDirection: 'row', justifyContent: 'space-between', width: '100%' }}>
+              <TimeField label={t('welcome.wakeTime')} value={wakeTime} onChange={setWakeTime} style={{ width: '48%' }} />
+              <TimeField label={t('welcome.bedTime')} value={bedTime} onChange={setBedTime} style={{ width: '48%' }} />
+            </View>
+            <GoalFactorsForm value={factors} onChange={setFactors} />
+            <GoalBreakdown result={result} />
+
+            <TouchableOpacity style={styles.startBtn} onPress={onStart} accessibilityRole="button">
+              <LinearGradient colors={theme.gradientPrimary} style={styles.btnGrad}>
+                <Text style={styles.btnText}>{t('welcome.start')}</Text>
+              </LinearGradient>
+            </TouchableOpacity>
+            {profiles.length > 0 ? (
+              <TouchableOpacity style={{ marginTop: 12 }} onPress={() => switchProfile(profiles[0].id)} accessibilityRole="button">
+                <Text style={{ color: theme.subtext }}>{t('welcome.cancelBack', { name: profiles[0].name })}</Text>
+              </TouchableOpacity>
+            ) : null}
+            <TouchableOpacity style={{ marginTop: 12 }} onPress={() => setShowSync(!showSync)} accessibilityRole="button" accessibilityState={{ expanded: showSync }}>
+              <Text style={{ color: theme.primary }}>{t('sync.restoreLink')}</Text>
+            </TouchableOpacity>
           </View>
-          <Text style={[styles.help, { color: theme.subtext }]}>Recommended goal: <Text style={{ fontWeight: '700', color: theme.text }}>{calculateWaterGoal()} ml</Text></Text>
-
-          <TouchableOpacity style={styles.startBtn} onPress={onStart}>
-            <LinearGradient colors={theme.gradientPrimary} style={styles.btnGrad}>
-              <Text style={styles.btnText}>Get Started</Text>
-            </LinearGradient>
-          </TouchableOpacity>
-        </View>
+          {showSync ? <SyncSettingsCard /> : null}
+        </ScrollView>
       </LinearGradient>
     </SafeAreaView>
   );
 }
 
 // -------------------- Home Screen --------------------
+const PACE_CHART_HEIGHT = 150;
+
+/**
+ * PaceChart({ waking, goal, dayEntries, width })
+ * Today's running hydration total as a step line over the waking window, against the
+ * dashed ideal-pace line, with a marker at the current time.
+ */
+function PaceChart({ waking, goal, dayEntries, width }) {
+  const { theme } = useApp();
+  const h = PACE_CHART_HEIGHT;
+  const pad = 16;
+  const total = dayEntries.reduce((sum, e) => sum + entryHydration(e), 0);
+  const top = Math.max(goal, total) * 1.05;
+  const span = waking.end.diff(waking.start, 'minute');
+  const x = at => Math.min(Math.max(dayjs(at).diff(waking.start, 'minute') / span, 0), 1) * width;
+  const y = ml => pad + (1 - ml / top) * (h - pad * 2);
+  const now = dayjs();
+
+  let sum = 0;
+  let path = `M0 ${y(0)}`;
+  dayEntries.forEach(e => {
+    path += ` H${x(e.timestamp)}`;
+    sum += entryHydration(e);
+    path += ` V${y(sum)}`;
+  });
+  path += ` H${x(now.isAfter(waking.end) ? waking.end : now)}`;
+
+  return (
+    <Svg width={width} height={h}>
+      <Line x1={0} y1={y(0)} x2={width} y2={y(goal)} stroke={theme.subtext} strokeWidth={1} strokeDasharray="4 4" />
+      <Line x1={0} y1={y(goal)} x2={width} y2={y(goal)} stroke={theme.border} strokeWidth={1} />
+      <Path d={path} stroke={theme.primary} strokeWidth={3} fill="none" />
+      {now.isAfter(waking.start) && now.isBefore(waking.end) ? (
+        <Line x1={x(now)} y1={pad / 2} x2={x(now)} y2={h - pad / 2} stroke={theme.accent} strokeWidth={1} />
+      ) : null}
+      <SvgText x={2} y={h - 2} fontSize={10} fill={theme.subtext}>{waking.start.format('HH:mm')}</SvgText>
+      <SvgText x={width - 2} y={h - 2} fontSize={10} fill={theme.subtext} textAnchor="end">{waking.end.format('HH:mm')}</SvgText>
+    </Svg>
+  );
+}
+
+// where today's intake stands against the ideal pace, and what it takes to finish on time
+function PaceCard({ intake, goal }) {
+  const { user, settings, entries, units, theme } = useApp();
+  const [width, setWidth] = useState(0);
+  // the same window the reminder planner paces against, so a bedtime past midnight still counts
+  const waking = currentWindow(new Date(), day => reminderScheduleFor(day, user, settings));
+  const pace = paceStatus(new Date(), waking, goal, intake);
+  const onPace = Math.abs(pace.diff) < goal * 0.02;
+
+  let advice;
+  if (intake >= goal) advice = t('pace.reached');
+  else if (dayjs().isAfter(waking.end)) advice = t('pace.short', { amount: formatVolume(goal - intake, units) });
+  else advice = t('pace.perHour', { amount: formatVolume(pace.perHour, units), time: waking.end.format('HH:mm') });
+
+  return (
+    <View style={[styles.summaryCard, { backgroundColor: theme.card, borderColor: theme.border }]} onLayout={e => setWidth(e.nativeEvent.layout.width - 28)}>
+      <Text style={{ fontWeight: '600', color: theme.text }}>{t('pace.title')}</Text>
+      {width > 0 ? (
+        <View accessible accessibilityRole="image" accessibilityLabel={t('a11y.paceChart', {
+          start: waking.start.format('HH:mm'), end: waking.end.format('HH:mm'), intake: formatVolume(intake, units), ideal: formatVolume(pace.ideal, units)
+        })}>
+          <PaceChart waking={waking} goal={goal} dayEntries={entriesForDate(entries, formatDate())} width={width} />
+        </View>
+      ) : null}
+      <Text style={{ fontWeight: '700', color: onPace || pace.diff > 0 ? theme.primary : theme.danger, marginTop: 4 }}>
+        {onPace ? t('pace.onPace') : t(pace.diff > 0 ? 'pace.ahead' : 'pace.behind', { amount: formatVolume(Math.abs(pace.diff), units) })}
+      </Text>
+      <Text style={{ color: theme.subtext, textAlign: 'center' }}>{advice}</Text>
+    </View>
+  );
+}
+
 function HomeScreen() {
-  const { user, intakeLog, addIntake, settings, theme } = useApp();
+  const { user, entries, totals, volumes, goalFor, baseGoalFor, workoutBonusFor, weatherBonusFor, addIntake, deleteEntry, getBeverage, settings, units, theme } = useApp();
   const [input, setInput] = useState('');
   const [message, setMessage] = useState('');
   const [showConfetti, setShowConfetti] = useState(false);
-
-  const today = formatDate();
-  const todayEntry = intakeLog.find(r => r.date === today) || { date: today, intake: 0 };
-  const intake = todayEntry.intake;
-  const goal = user?.goal || 2000;
+  const [lastAdded, setLastAdded] = useState(null);
+  const [beverage, setBeverage] = useState('water');
+
+  const intake = totals[formatDate()] || 0;
+  const volume = volumes[formatDate()] || 0;
+  const selectedBeverage = getBeverage(beverage);
+  const goal = goalFor(formatDate());
+  const bonus = workoutBonusFor(formatDate());
+  const weatherExtra = weatherBonusFor(formatDate());
   const progress = Math.min(intake / goal, 1);
+  const quickAmount = UNIT_SYSTEMS[units].quickAmount;
+  const containers = settings.containers || [];
+  const lastDrink = entries.reduce((last, e) => (!last || e.timestamp > last.timestamp ? e : last), null);
 
   const waveAnim = useRef(new Animated.Value(progress)).current;
   useEffect(() => {
     Animated.timing(waveAnim, { toValue: progress, duration: 900, useNativeDriver: false }).start();
   }, [progress]);
 
-  const handleAdd = () => {
-    const n = parseInt(input);
-    if (!n || n <= 0) { Alert.alert('Enter positive ml'); return; }
-    addIntake(n);
-    setInput('');
-    const tips = ['Keep sipping!', 'Great job!', 'Hydration boost!', 'Nice!'];
-    setMessage(tips[Math.floor(Math.random() * tips.length)]);
-    if (intake + n >= goal) {
+  // every add on this screen goes through here: undo snackbar, and a celebration when it crosses the goal
+  const logDrink = (amount, beverageId, source) => {
+    const entry = addIntake(amount, beverageId, source);
+    setLastAdded(entry);
+    const tips = ['keepSipping', 'greatJob', 'boost', 'nice'];
+    setMessage(t(`home.tips.${tips[Math.floor(Math.random() * tips.length)]}`));
+    if (entry && intake < goal && intake + entry.hydration >= goal) {
       setShowConfetti(true);
       setTimeout(() => setShowConfetti(false), 4000);
-      Alert.alert('🎉 Goal reached', 'You reached your daily water goal!');
+      Alert.alert(t('home.goalReachedTitle'), t('home.goalReachedBody'));
     }
   };
 
+  const handleAdd = () => {
+    const n = parseVolume(input, units);
+    if (!n) { Alert.alert(t('entries.invalidAmount', { unit: UNIT_SYSTEMS[units].volume })); return; }
+    logDrink(n, beverage, 'manual');
+    setInput('');
+  };
+
   const waveHeight = waveAnim.interpolate({ inputRange: [0,1], outputRange: ['0%', '100%'] });
 
   return (
-    <ScrollView contentContainerStyle={[styles.screen, { backgroundColor: theme.background }]}>
-      <StatusBar barStyle={theme.statusBarStyle} />
-      <TopBar title={`Hello, ${user?.name || 'Friend'}`} />
-      <LinearGradient colors={[theme.surface, theme.background]} style={[styles.headerCard, { backgroundColor: theme.surface }]}>
-        <Text style={[styles.title, { color: theme.text }]}>Daily goal: <Text style={{ color: theme.primary }}>{goal} ml</Text></Text>
-        <Text style={[styles.sub, { color: theme.subtext }]}>Today: <Text style={{ fontWeight: '700', color: theme.text }}>{intake} ml</Text></Text>
-      </LinearGradient>
+    <View style={{ flex: 1, backgroundColor: theme.background }}>
+      <ScrollView contentContainerStyle={[styles.screen, { backgroundColor: theme.background }]}>
+        <StatusBar barStyle={theme.statusBarStyle} />
+        <TopBar title={t('home.hello', { name: user?.name || t('home.friend') })} />
+        <LinearGradient colors={[theme.surface, theme.background]} style={[styles.headerCard, { backgroundColor: theme.surface }]}>
+          <Text style={[styles.title, { color: theme.text }]}>{t('home.dailyGoal')} <Text style={{ color: theme.primary }}>{formatVolume(goal, units)}</Text></Text>
+          {bonus > 0 || weatherExtra > 0 ? (
+            <Text style={[styles.sub, { color: theme.subtext }]}>
+              {t('home.goalBase', { amount: formatVolume(baseGoalFor(formatDate()), units) })}
+              {bonus > 0 ? t('home.goalWorkouts', { amount: formatVolume(bonus, units) }) : ''}
+              {weatherExtra > 0 ? t('home.goalWeather', { amount: formatVolume(weatherExtra, units) }) : ''}
+            </Text>
+          ) : null}
+          <Text style={[styles.sub, { color: theme.subtext }]}>
+            {t('home.today')} <Text style={{ fontWeight: '700', color: theme.text }}>{formatVolume(intake, units)}</Text> {t('home.todayDetail', { volume: formatVolume(volume, units) })}
+          </Text>
+        </LinearGradient>
 
-      <View style={styles.progressCard}>
-        <View style={styles.circleContainer}>
-          <Text style={[styles.bigText, { color: theme.primary }]}>{Math.round(progress * 100)}%</Text>
-          <Text style={{ color: theme.subtext }}>{intake} / {goal} ml</Text>
-        </View>
-        <View style={[styles.waveWrapper, { borderColor: theme.border, backgroundColor: theme.card }]}>
-          <Animated.View style={[styles.waveFill, { height: waveHeight, backgroundColor: theme.wave }]} />
+        <View style={styles.progressCard}>
+          <View style={styles.circleContainer} accessible accessibilityRole="progressbar" accessibilityLabel={t('a11y.progress')}
+            accessibilityValue={{ min: 0, max: 100, now: Math.round(progress * 100), text: t('a11y.progressValue', { intake: formatVolume(intake, units), goal: formatVolume(goal, units) }) }}>
+            <Text maxFontSizeMultiplier={1.5} style={[styles.bigText, { color: theme.primary }]}>{Math.round(progress * 100)}%</Text>
+            <Text style={{ color: theme.subtext }}>{formatNumber(toDisplayVolume(intake, units), 1)} / {formatVolume(goal, units)}</Text>
+          </View>
+          <View style={[styles.waveWrapper, { borderColor: theme.border, backgroundColor: theme.card }]} importantForAccessibility="no-hide-descendants" accessibilityElementsHidden>
+            <Animated.View style={[styles.waveFill, { height: waveHeight, backgroundColor: theme.wave }]} />
+          </View>
         </View>
-      </View>
 
-      <View style={{ width: '100%', alignItems: 'center' }}>
-        <TextInput
-          style={[styles.input, { backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]}
-          placeholder="Add ml (e.g. 250)"
-          placeholderTextColor={theme.subtext}
-          value={input} onChangeText={setInput} keyboardType="numeric" />
-        <TouchableOpacity style={styles.primaryBtn} onPress={handleAdd}>
-          <LinearGradient colors={theme.gradientPrimary} style={styles.btnGrad}>
-            <Text style={styles.btnText}>Add</Text>
-          </LinearGradient>
-        </TouchableOpacity>
+        <View style={{ width: '100%', alignItems: 'center' }}>
+          <BeveragePicker value={beverage} onChange={setBeverage} />
+          <Text style={{ color: theme.subtext }}>{t('home.countsToward', { drink: selectedBeverage.name, percent: Math.round(selectedBeverage.factor * 100) })}</Text>
+          <TextInput
+            style={[styles.input, { backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]}
+            placeholder={t('home.addPlaceholder', { unit: UNIT_SYSTEMS[units].volume, amount: formatNumber(quickAmount) })}
+            placeholderTextColor={theme.subtext}
+            value={input} onChangeText={setInput} keyboardType="numeric" accessibilityLabel={t('home.addPlaceholder', { unit: UNIT_SYSTEMS[units].volume, amount: formatNumber(quickAmount) })} />
+          <TouchableOpacity style={styles.primaryBtn} onPress={handleAdd} accessibilityRole="button" accessibilityHint={t('a11y.addHint')}>
+            <LinearGradient colors={theme.gradientPrimary} style={styles.btnGrad}>
+              <Text style={styles.btnText}>{t('home.add')}</Text>
+            </LinearGradient>
+          </TouchableOpacity>
 
-        <TouchableOpacity style={[styles.secondaryBtn, { marginTop: 8, backgroundColor: theme.card, borderColor: theme.border }]} onPress={() => {
-          Alert.alert('Quick add', 'Add a quick 250 ml?', [{ text: 'Cancel' }, { text: 'Add', onPress: () => addIntake(250) }]);
-        }}>
-          <Text style={{ fontWeight: '600', color: theme.primary }}>Quick +250 ml</Text>
-        </TouchableOpacity>
+          <View style={styles.chipWrap}>
+            {containers.map(c => (
+              <TouchableOpacity key={c.id} onPress={() => logDrink(c.amount, c.beverage || beverage, 'quick')}
+                accessibilityRole="button" accessibilityHint={t('a11y.quickAddHint')}
+                style={[styles.containerBtn, { backgroundColor: theme.card, borderColor: theme.border }]}>
+                <Ionicons name={c.icon} size={22} color={theme.primary} />
+                <Text style={{ fontWeight: '600', color: theme.text }}>{c.name}</Text>
+                <Text style={{ color: theme.subtext, fontSize: 12 }}>{formatVolume(c.amount, units)}{c.beverage ? ` ${getBeverage(c.beverage).name.toLowerCase()}` : ''}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          {lastDrink ? (
+            <TouchableOpacity style={[styles.secondaryBtn, { marginTop: 8, backgroundColor: theme.card, borderColor: theme.border }]}
+              onPress={() => logDrink(lastDrink.amount, lastDrink.beverage, 'repeat')} accessibilityRole="button" accessibilityHint={t('a11y.quickAddHint')}>
+              <Text style={{ fontWeight: '600', color: theme.primary }}>
+                {t('home.repeatLast', { amount: formatVolume(lastDrink.amount, units), drink: getBeverage(lastDrink.beverage).name.toLowerCase() })}
+              </Text>
+            </TouchableOpacity>
+          ) : null}
+
+          {message ? <Text style={[styles.help, { color: theme.subtext }]}>{message}</Text> : null}
+          {showConfetti ? <Text style={{ marginTop: 8, fontSize: 28 }} importantForAccessibility="no" accessibilityElementsHidden>🎊</Text> : null}
+
+          <View style={[styles.summaryCard, { backgroundColor: theme.card, borderColor: theme.border }]}>
+            <Text style={{ fontWeight: '600', color: theme.text }}>{t('home.remaining', { amount: formatVolume(Math.max(goal - intake, 0), units) })}</Text>
+            <Text style={{ color: theme.subtext }}>{t('home.timeLeft', { time: computeHoursLeft(user) })}</Text>
+          </View>
 
-        {message ? <Text style={[styles.help, { color: theme.subtext }]}>{message}</Text> : null}
-        {showConfetti ? <Text style={{ marginTop: 8, fontSize: 28 }}>🎊</Text> : null}
+          <PaceCard intake={intake} goal={goal} />
 
-        <View style={[styles.summaryCard, { backgroundColor: theme.card, borderColor: theme.border }]}>
-          <Text style={{ fontWeight: '600', color: theme.text }}>Remaining: {Math.max(goal - intake, 0)} ml</Text>
-          <Text style={{ color: theme.subtext }}>Time left: {computeHoursLeft(user)}</Text>
+          <WeatherToday />
+          <DayWorkouts date={formatDate()} />
         </View>
-      </View>
-    </ScrollView>
+      </ScrollView>
+      <Snackbar
+        visible={!!lastAdded}
+        message={lastAdded ? t('home.added', { amount: formatVolume(lastAdded.amount, units), drink: getBeverage(lastAdded.beverage).name.toLowerCase() }) : ''}
+        actionLabel={t('common.undo')}
+        onAction={() => lastAdded && deleteEntry(lastAdded.id)}
+        onDismiss={() => setLastAdded(null)} />
+    </View>
   );
 }
 
@@ -371,23 +2312,210 @@ function computeHoursLeft(user) {
   try {
     if (!user) return '—';
     const now = dayjs();
-    const [bh, bm] = (user.bedTime || '23:00').split(':').map(Number);
-    let bed = dayjs().hour(bh).minute(bm);
+    const bedMinutes = minutesOfDay(user.bedTime, '23:00');
+    let bed = dayjs().hour(Math.floor(bedMinutes / 60)).minute(bedMinutes % 60);
     if (bed.isBefore(now)) bed = bed.add(1, 'day');
     const diff = bed.diff(now, 'hour');
-    return diff > 0 ? `${diff} hrs` : 'few hours';
+    return diff > 0 ? t('home.hoursLeft', { count: diff }) : t('home.fewHours');
   } catch (e) { return '—'; }
 }
 
 // -------------------- History Screen --------------------
-function HistoryScreen() {
-  const { intakeLog, theme } = useApp();
-  const last7Days = lastNDays(7);
-  const last7 = last7Days.map(d => {
-    const r = intakeLog.find(i => i.date === d) || { date: d, intake: 0 };
-    return r.intake;
+const HISTORY_RANGES = [
+  { id: '7d', get label() { return t('history.ranges.7d'); } },
+  { id: '30d', get label() { return t('history.ranges.30d'); } },
+  { id: '12m', get label() { return t('history.ranges.12m'); } },
+  { id: 'custom', get label() { return t('history.ranges.custom'); } }
+];
+const MAX_DAILY_POINTS = 62; // longer ranges are charted month by month
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function daysBetween(start, end) {
+  const days = [];
+  for (let d = dayjs(start); !d.isAfter(dayjs(end), 'day'); d = d.add(1, 'day')) days.push(d.format('YYYY-MM-DD'));
+  return days;
+}
+
+function rangeDays(range, custom) {
+  if (range === '7d') return lastNDays(7);
+  if (range === '30d') return lastNDays(30);
+  if (range === '12m') return daysBetween(dayjs(formatDate()).subtract(11, 'month').startOf('month'), formatDate());
+  return daysBetween(custom.start, custom.end);
+}
+
+// chart points: one per day, or one per month (its daily average) for long ranges
+function chartBuckets(days) {
+  if (days.length <= MAX_DAILY_POINTS) {
+    const every = Math.ceil(days.length / 8);
+    return days.map((d, i) => ({ label: i % every === 0 ? dayjs(d).format('DD') : '', days: [d] }));
+  }
+  const byMonth = {};
+  days.forEach(d => { (byMonth[d.slice(0, 7)] = byMonth[d.slice(0, 7)] || []).push(d); });
+  return Object.keys(byMonth).sort().map(m => ({ label: formatDay(`${m}-01`, 'monthShort'), days: byMonth[m] }));
+}
+
+/**
+ * describeChart(buckets, intakes, goals, monthly, units)
+ * The LineChart's data as one sentence for screen readers, which can't read the drawing.
+ * `intakes` and `goals` are in ml, one per bucket.
+ */
+function describeChart(buckets, intakes, goals, monthly, units) {
+  const points = buckets.map((b, i) => t('a11y.chartPoint', {
+    label: formatDay(b.days[0], monthly ? 'month' : 'short'),
+    intake: formatVolume(intakes[i], units),
+    goal: formatVolume(goals[i], units)
+  }));
+  const series = monthly ? t('history.dailyAverage') : t('history.intake');
+  return t('a11y.historyChart', { series: series.toLowerCase(), points: points.join('; ') });
+}
+
+function average(values) { return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0; }
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * historyStats(days, totals, goalFor)
+ * Summary of the given days (in order): { average, median, best: { date, intake }, hitRate, longestStreak }.
+ * Callers pass only days that can have data, so days before the first log don't drag averages down.
+ */
+function historyStats(days, totals, goalFor) {
+  const intakes = days.map(d => totals[d] || 0);
+  let best = null;
+  let hits = 0; let run = 0; let longestStreak = 0;
+  days.forEach((d, i) => {
+    if (!best || intakes[i] > best.intake) best = { date: d, intake: intakes[i] };
+    if (intakes[i] >= goalFor(d)) { hits += 1; run += 1; longestStreak = Math.max(longestStreak, run); }
+    else run = 0;
   });
-  const labels = last7Days.map(d => dayjs(d).format('DD'));
+  return {
+    average: Math.round(average(intakes)),
+    median: Math.round(median(intakes)),
+    best,
+    hitRate: days.length ? hits / days.length : 0,
+    longestStreak
+  };
+}
+
+/**
+ * travelDays(entries, days)
+ * [{ date, zones }] for those of `days` logged away from the current timezone or in more than
+ * one zone; `zones` are labels in the order they were first used that day.
+ */
+function travelDays(entries, days) {
+  const wanted = new Set(days);
+  const byDay = {};
+  for (const e of [...entries].sort((a, b) => a.timestamp.localeCompare(b.timestamp))) {
+    if (e.utcOffset == null) continue;
+    const d = entryDate(e);
+    if (!wanted.has(d)) continue;
+    if (!byDay[d]) byDay[d] = { keys: new Set(), zones: [] };
+    const key = zoneKey(e);
+    if (!byDay[d].keys.has(key)) { byDay[d].keys.add(key); byDay[d].zones.push(zoneLabel(e)); }
+  }
+  const home = currentZoneKey();
+  return Object.keys(byDay).sort().reverse()
+    .filter(d => byDay[d].keys.size > 1 || !byDay[d].keys.has(home))
+    .map(d => ({ date: d, zones: byDay[d].zones }));
+}
+
+// which timezone each travel day in the range was logged in
+function TravelDays({ days, onSelectDay }) {
+  const { entries, theme } = useApp();
+  const travel = travelDays(entries, days);
+  return (
+    <View style={[styles.summaryCard, { backgroundColor: theme.card, borderColor: theme.border }]}>
+      <Text accessibilityRole="header" style={[styles.sectionTitle, { color: theme.primary }]}>{t('history.travelTitle')}</Text>
+      {travel.length === 0 ? <Text style={{ color: theme.subtext }}>{t('history.travelNone')}</Text> : (
+        <Text style={[styles.help, { color: theme.subtext }]}>{t('history.travelHelp')}</Text>
+      )}
+      {travel.map(({ date, zones }) => (
+        <TouchableOpacity key={date} style={styles.breakdownRow} onPress={() => onSelectDay(date)}
+          accessibilityRole="button" accessibilityHint={t('a11y.openDayHint')} accessibilityLabel={`${formatDay(date, 'dayFull')}: ${zones.join(', ')}`}>
+          <Text style={{ color: theme.text, marginRight: 8 }}>{formatDay(date, 'short')}</Text>
+          <Text style={{ flex: 1, textAlign: 'right', color: theme.primary }}>{zones.join(' → ')}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+/**
+ * MonthHeatmap({ month, onChangeMonth, selectedDay, onSelectDay })
+ * One month as a calendar, each day shaded by how much of its goal was reached.
+ */
+function MonthHeatmap({ month, onChangeMonth, selectedDay, onSelectDay }) {
+  const { totals, goalFor, theme } = useApp();
+  const first = dayjs(month).startOf('month');
+  const today = formatDate();
+  const cells = [];
+  for (let i = 0; i < first.day(); i++) cells.push(null);
+  for (let d = first; d.month() === first.month(); d = d.add(1, 'day')) cells.push(d.format('YYYY-MM-DD'));
+
+  return (
+    <View style={[styles.summaryCard, { backgroundColor: theme.card, borderColor: theme.border }]}>
+      <View style={styles.breakdownRow}>
+        <TouchableOpacity onPress={() => onChangeMonth(first.subtract(1, 'month').format('YYYY-MM-DD'))} accessibilityRole="button" accessibilityLabel={t('a11y.previousMonth')}>
+          <Ionicons name="chevron-back" size={22} color={theme.primary} />
+        </TouchableOpacity>
+        <Text accessibilityRole="header" style={{ flex: 1, textAlign: 'center', fontWeight: '600', color: theme.text }}>{formatDay(first, 'month')}</Text>
+        <TouchableOpacity onPress={() => onChangeMonth(first.add(1, 'month').format('YYYY-MM-DD'))} accessibilityRole="button" accessibilityLabel={t('a11y.nextMonth')}>
+          <Ionicons name="chevron-forward" size={22} color={theme.primary} />
+        </TouchableOpacity>
+      </View>
+      <View style={styles.heatmapGrid}>
+        {weekdayInitials().map((w, i) => (
+          <Text key={`h${i}`} importantForAccessibility="no" accessibilityElementsHidden style={{ width: '14.28%', color: theme.subtext, textAlign: 'center' }}>{w}</Text>
+        ))}
+        {cells.map((d, i) => {
+          if (!d) return <View key={`e${i}`} style={styles.heatmapCell} />;
+          const ratio = Math.min((totals[d] || 0) / goalFor(d), 1);
+          const future = d > today;
+          return (
+            <TouchableOpacity key={d} disabled={future} onPress={() => onSelectDay(d)} style={styles.heatmapCell}
+              accessibilityRole="button" accessibilityHint={t('a11y.openDayHint')}
+              accessibilityLabel={t('a11y.heatmapDay', { date: formatDay(d, 'dayFull'), percent: Math.round(ratio * 100) })}
+              accessibilityState={{ selected: d === selectedDay, disabled: future }}>
+              <View style={[styles.heatmapDay, {
+                backgroundColor: ratio > 0 ? hexToRgba(theme.primary, 0.15 + ratio * 0.85) : theme.surface,
+                borderColor: d === selectedDay ? theme.text : theme.border,
+                opacity: future ? 0.4 : 1
+              }]}>
+                <Text maxFontSizeMultiplier={1.4} style={{ fontSize: 12, color: ratio > 0.6 ? theme.onPrimary : theme.text }}>{dayjs(d).date()}</Text>
+              </View>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+}
+
+function HistoryScreen() {
+  const { entries, totals, volumes, goalFor, workoutBonusFor, restoreEntry, units, theme } = useApp();
+  const [range, setRange] = useState('7d');
+  const [custom, setCustom] = useState({ start: dayjs(formatDate()).subtract(13, 'day').format('YYYY-MM-DD'), end: formatDate() });
+  const [customDraft, setCustomDraft] = useState(custom);
+  const [month, setMonth] = useState(formatDate());
+  const [selectedDay, setSelectedDay] = useState(formatDate());
+  const [lastDeleted, setLastDeleted] = useState(null);
+  const scrollRef = useRef(null);
+  const dayEntriesY = useRef(0);
+
+  const days = rangeDays(range, custom);
+  const firstLogged = entries.reduce((min, e) => (entryDate(e) < min ? entryDate(e) : min), formatDate());
+  const statDays = days.filter(d => d >= firstLogged && d <= formatDate());
+  const stats = historyStats(statDays, totals, goalFor);
+  const buckets = chartBuckets(days);
+  const bucketIntakes = buckets.map(b => average(b.days.map(d => totals[d] || 0)));
+  const bucketGoals = buckets.map(b => average(b.days.map(d => goalFor(d))));
+  const intakeSeries = bucketIntakes.map(ml => toDisplayVolume(ml, units));
+  const goalSeries = bucketGoals.map(ml => toDisplayVolume(ml, units));
+  const monthly = days.length > MAX_DAILY_POINTS;
 
   const chartConfig = {
     backgroundGradientFrom: theme.surface,
@@ -395,216 +2523,1036 @@ function HistoryScreen() {
     decimalPlaces: 0,
     color: (opacity = 1) => `${hexToRgba(theme.primary, opacity)}`,
     labelColor: (opacity = 1) => `${hexToRgba(theme.subtext, opacity)}`,
-    propsForDots: { r: '4', strokeWidth: '2' },
+    fillShadowGradientFrom: theme.primary,
+    fillShadowGradientTo: theme.surface,
+    propsForBackgroundLines: { stroke: theme.border },
+    propsForDots: { r: days.length > 14 ? '2' : '4', strokeWidth: '2', stroke: theme.primary },
+  };
+
+  // tapping a day anywhere on the screen opens its drinks below
+  const openDay = (d) => {
+    setSelectedDay(d);
+    setMonth(d);
+    scrollRef.current?.scrollTo({ y: dayEntriesY.current, animated: true });
+  };
+
+  const applyCustom = () => {
+    const { start, end } = customDraft;
+    // dayjs rolls 2024-02-31 over into March, so a real date must come back unchanged
+    if (![start, end].every(d => DATE_PATTERN.test(d) && dayjs(d).isValid() && dayjs(d).format('YYYY-MM-DD') === d)) {
+      Alert.alert(t('history.invalidDates')); return;
+    }
+    if (start > end) { Alert.alert(t('history.startAfterEnd')); return; }
+    if (dayjs(end).diff(dayjs(start), 'day') > 366 * 3) { Alert.alert(t('history.tooLong')); return; }
+    setCustom({ start, end });
   };
 
+  const rangeTitle = range === 'custom'
+    ? `${formatDay(custom.start, 'dayYear')} – ${formatDay(custom.end, 'dayYear')}`
+    : t('history.last', { range: HISTORY_RANGES.find(r => r.id === range).label });
+
   return (
-    <ScrollView contentContainerStyle={[styles.screen, { backgroundColor: theme.background }]}>
-      <StatusBar barStyle={theme.statusBarStyle} />
-      <TopBar title="History" />
-      <Text style={[styles.title, { fontSize: 20, color: theme.text }]}>Last 7 days</Text>
-
-      <LineChart
-        data={{ labels, datasets: [{ data: last7 }] }}
-        width={Dimensions.get('window').width - 32}
-        height={220}
-        chartConfig={chartConfig}
-        bezier
-        style={{ borderRadius: 12, marginTop: 8, backgroundColor: theme.surface }}
-      />
-
-      <View style={{ marginTop: 16, width: '100%', alignItems: 'center' }}>
-        {last7Days.slice().reverse().map(d => {
-          const intake = intakeLog.find(i => i.date === d)?.intake || 0;
-          return (
-            <View key={d} style={[styles.historyRow, { borderColor: theme.border, backgroundColor: theme.surface }]}>
-              <Text style={{ color: theme.text }}>{dayjs(d).format('ddd DD MMM')}</Text>
-              <Text style={{ fontWeight: '700', color: theme.primary }}>{intake} ml</Text>
-            </View>
-          );
-        })}
-      </View>
-    </ScrollView>
+    <View style={{ flex: 1, backgroundColor: theme.background }}>
+      <ScrollView ref={scrollRef} contentContainerStyle={[styles.screen, { backgroundColor: theme.background }]}>
+        <StatusBar barStyle={theme.statusBarStyle} />
+        <TopBar title={t('history.title')} />
+        <ChoiceChips options={HISTORY_RANGES} value={range} onChange={setRange} />
+        {range === 'custom' ? (
+          <View style={{ flexDirection: 'row', justifyContent: 'space-between', width: '100%', alignItems: 'center' }}>
+            <TextInput style={[styles.input, { width: '38%', backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]}
+              placeholder={t('history.from')} placeholderTextColor={theme.subtext} value={customDraft.start} onChangeText={v => setCustomDraft({ ...customDraft, start: v })} accessibilityLabel={t('history.from')} />
+            <TextInput style={[styles.input, { width: '38%', backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]}
+              placeholder={t('history.to')} placeholderTextColor={theme.subtext} value={customDraft.end} onChangeText={v => setCustomDraft({ ...customDraft, end: v })} accessibilityLabel={t('history.to')} />
+            <TouchableOpacity style={[styles.chip, { marginTop: 10, borderColor: theme.primary }]} onPress={applyCustom} accessibilityRole="button">
+              <Text style={{ color: theme.primary, fontWeight: '600' }}>{t('history.show')}</Text>
+            </TouchableOpacity>
+          </View>
+        ) : null}
+        <Text accessibilityRole="header" style={[styles.title, { fontSize: 20, color: theme.text }]}>{rangeTitle}</Text>
+
+        <View accessible accessibilityRole="image" accessibilityLabel={describeChart(buckets, bucketIntakes, bucketGoals, monthly, units)}>
+          <LineChart
+            data={{
+              labels: buckets.map(b => b.label),
+              datasets: [
+                { data: intakeSeries },
+                { data: goalSeries, color: (opacity = 1) => hexToRgba(theme.subtext, opacity * 0.6), withDots: false, strokeWidth: 1 }
+              ],
+              legend: [`${monthly ? t('history.dailyAverage') : t('history.intake')} (${UNIT_SYSTEMS[units].volume})`, t('history.goal')]
+            }}
+            width={Dimensions.get('window').width - 32}
+            height={220}
+            chartConfig={chartConfig}
+            bezier
+            style={{ borderRadius: 12, marginTop: 8, backgroundColor: theme.surface }}
+          />
+        </View>
+
+        <View style={[styles.summaryCard, { backgroundColor: theme.card, borderColor: theme.border }]}>
+          {statDays.length === 0 ? <Text style={{ color: theme.subtext }}>{t('history.empty')}</Text> : (
+            <>
+              <View style={styles.breakdownRow}><Text style={{ flex: 1, color: theme.text }}>{t('history.dailyAverage')}</Text><Text style={{ fontWeight: '700', color: theme.primary }}>{formatVolume(stats.average, units)}</Text></View>
+              <View style={styles.breakdownRow}><Text style={{ flex: 1, color: theme.text }}>{t('history.median')}</Text><Text style={{ fontWeight: '700', color: theme.primary }}>{formatVolume(stats.median, units)}</Text></View>
+              <TouchableOpacity style={styles.breakdownRow} onPress={() => openDay(stats.best.date)} accessibilityRole="button" accessibilityHint={t('a11y.openDayHint')}>
+                <Text style={{ flex: 1, color: theme.text }}>{t('history.best')}</Text>
+                <Text style={{ fontWeight: '700', color: theme.primary }}>{formatVolume(stats.best.intake, units)} <Text style={{ fontWeight: '400', color: theme.subtext }}>{formatDay(stats.best.date, 'short')}</Text></Text>
+              </TouchableOpacity>
+              <View style={styles.breakdownRow}><Text style={{ flex: 1, color: theme.text }}>{t('history.goalReached')}</Text><Text style={{ fontWeight: '700', color: theme.primary }}>{t('history.hitRate', { percent: Math.round(stats.hitRate * 100) })}</Text></View>
+              <View style={styles.breakdownRow}><Text style={{ flex: 1, color: theme.text }}>{t('history.longestStreak')}</Text><Text style={{ fontWeight: '700', color: theme.primary }}>{t('history.days', { count: stats.longestStreak })}</Text></View>
+            </>
+          )}
+        </View>
+
+        <TravelDays days={days} onSelectDay={openDay} />
+
+        <MonthHeatmap month={month} onChangeMonth={setMonth} selectedDay={selectedDay} onSelectDay={openDay} />
+
+        {monthly ? null : (
+          <View style={{ marginTop: 16, width: '100%', alignItems: 'center' }}>
+            {days.slice().reverse().map(d => {
+              const intake = totals[d] || 0;
+              const met = intake >= goalFor(d);
+              return (
+                <TouchableOpacity key={d} onPress={() => openDay(d)}
+                  accessibilityRole="button" accessibilityHint={t('a11y.openDayHint')} accessibilityState={{ selected: d === selectedDay }}
+                  accessibilityLabel={[
+                    formatDay(d, 'dayFull'), formatVolume(intake, units), t('history.drunk', { amount: formatVolume(volumes[d] || 0, units) }),
+                    met ? t('a11y.goalMet') : null, workoutBonusFor(d) > 0 ? t('a11y.workoutLogged') : null
+                  ].filter(Boolean).join(', ')}
+                  style={[styles.historyRow, { borderColor: theme.border, backgroundColor: d === selectedDay ? theme.card : theme.surface }]}>
+                  <Text style={{ color: theme.text, fontWeight: d === selectedDay ? '700' : '400' }}>{met ? '✅ ' : ''}{formatDay(d, 'day')}{workoutBonusFor(d) > 0 ? ' 🏋️' : ''}</Text>
+                  <Text style={{ fontWeight: '700', color: theme.primary }}>
+                    {formatVolume(intake, units)} <Text style={{ fontWeight: '400', color: theme.subtext }}>{t('history.drunk', { amount: formatVolume(volumes[d] || 0, units) })}</Text>
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        )}
+
+        <View style={{ width: '100%', alignItems: 'center' }} onLayout={e => { dayEntriesY.current = e.nativeEvent.layout.y; }}>
+          <DayEntries date={selectedDay} onDeleted={setLastDeleted} />
+          <DayWorkouts date={selectedDay} />
+        </View>
+      </ScrollView>
+      <Snackbar
+        visible={!!lastDeleted}
+        message={lastDeleted ? t('history.deleted', { amount: formatVolume(lastDeleted.amount, units) }) : ''}
+        actionLabel={t('common.undo')}
+        onAction={() => lastDeleted && restoreEntry(lastDeleted)}
+        onDismiss={() => setLastDeleted(null)} />
+    </View>
   );
 }
 function lastNDays(n) {
   const arr = [];
-  for (let i = n - 1; i >= 0; i--) arr.push(dayjs().subtract(i, 'day').format('YYYY-MM-DD'));
+  const today = dayjs(formatDate());
+  for (let i = n - 1; i >= 0; i--) arr.push(today.subtract(i, 'day').format('YYYY-MM-DD'));
   return arr;
 }
-function hexToRgba(hex, opacity) {
-  // simple helper: converts #rrggbb to rgba(...)
-  const h = hex.replace('#', '');
-  const r = parseInt(h.substring(0,2),16), g = parseInt(h.substring(2,4),16), b = parseInt(h.substring(4,6),16);
-  return `rgba(${r}, ${g}, ${b}, ${opacity})`;
-}
 
 // -------------------- Settings Screen --------------------
 function SettingsScreen() {
-  const { user, setUser, settings, setSettings, resetToday, setIntakeLog, theme } = useApp();
+  const { user, setUser, settings, setSettings, units, resetToday, profileId, profiles, deleteProfile, clearAllData, theme } = useApp();
   const [editableUser, setEditableUser] = useState(user || {});
   const [customGoal, setCustomGoal] = useState('');
+  const [newBeverage, setNewBeverage] = useState({ name: '', percent: '100', icon: CUSTOM_BEVERAGE_ICONS[0] });
 
+  // weight and goal are edited in the display unit
+  const shownWeight = String(toDisplayWeight(user?.weight, units));
+  const shownGoal = user?.goal ? String(toDisplayVolume(user.goal, units)) : '';
   useEffect(() => {
-    setEditableUser(user || {});
-    setCustomGoal(user?.goal?.toString() || '');
-  }, [user]);
+    setEditableUser({ ...(user || {}), weight: shownWeight });
+    setCustomGoal(shownGoal);
+  }, [user, units]);
 
   const saveUserInfo = async () => {
-    if (!editableUser.name || !editableUser.weight || !editableUser.age) {
-      Alert.alert('⚠️ Please fill all fields');
-      return;
-    }
+    const { errors, profile } = validateProfile(editableUser, units);
+    if (errors.length) { Alert.alert(t('validation.title'), errors.join('\n')); return; }
+    // untouched fields keep their stored value, so saving never drifts through a unit round trip
     const updated = {
       ...editableUser,
-      weight: parseFloat(editableUser.weight),
-      age: parseInt(editableUser.age),
-      goal: parseInt(customGoal) || editableUser.goal || 2000,
+      name: profile.name,
+      weight: editableUser.weight === shownWeight ? user.weight : profile.weight,
+      age: profile.age,
+      goal: (customGoal === shownGoal ? user?.goal : parseVolume(customGoal, units)) || user?.goal || 2000,
     };
     setUser(updated);
-    await saveJson(STORAGE_KEYS.USER, updated);
-    Alert.alert('✅ Profile updated successfully!');
+    await saveJson(profileKey(STORAGE_KEYS.USER, profileId), updated);
+    Alert.alert(t('settings.profileUpdated'));
   };
 
-  const toggleDark = () => setSettings({ ...settings, darkMode: !settings.darkMode });
+  const toggleHighContrast = () => setSettings({ ...settings, highContrast: !settings.highContrast });
 
-  const clearAllData = () => {
-    Alert.alert('🧹 Clear All Data', 'Are you sure you want to delete all saved data?', [
-      { text: 'Cancel', style: 'cancel' },
+  const confirmClearAllData = () => {
+    Alert.alert(t('settings.clearAllTitle'), t('settings.clearAllBody'), [
+      { text: t('common.cancel'), style: 'cancel' },
       {
-        text: 'Clear',
+        text: t('settings.clear'),
         style: 'destructive',
         onPress: async () => {
-          await AsyncStorage.clear();
-          setIntakeLog([]);
-          setUser(null);
-          Alert.alert('✅ All data cleared');
+          await clearAllData();
+          Alert.alert(t('settings.cleared'));
         },
       },
     ]);
   };
 
+  const confirmDeleteProfile = () => {
+    Alert.alert(t('settings.deleteProfileTitle'), t('settings.deleteProfileBody', { name: user?.name || t('settings.thisProfile') }), [
+      { text: t('common.cancel'), style: 'cancel' },
+      { text: t('common.delete'), style: 'destructive', onPress: () => deleteProfile(profileId) }
+    ]);
+  };
+
+  const addCustomBeverage = () => {
+    const name = newBeverage.name.trim();
+    const percent = parseInt(newBeverage.percent);
+    if (!name) { Alert.alert(t('settings.drinkNameMissing')); return; }
+    if (!(percent >= 0 && percent <= 150)) { Alert.alert(t('settings.invalidHydration')); return; }
+    const beverage = { id: `custom_${makeId()}`, name, icon: newBeverage.icon, factor: percent / 100 };
+    setSettings({ ...settings, customBeverages: [...(settings.customBeverages || []), beverage] });
+    setNewBeverage({ name: '', percent: '100', icon: CUSTOM_BEVERAGE_ICONS[0] });
+  };
+
+  // past entries keep the hydration they were logged with
+  const removeCustomBeverage = (id) => {
+    setSettings({ ...settings, customBeverages: (settings.customBeverages || []).filter(b => b.id !== id) });
+  };
+
   const sendTestReminder = async () => {
     await Notifications.scheduleNotificationAsync({
       content: {
-        title: '💧 Hydration Reminder',
-        body: 'Time to take a sip! Stay hydrated 🌊',
+        title: t('notifications.testTitle'),
+        body: t('notifications.testBody'),
       },
       trigger: null,
     });
-    Alert.alert('🔔 Test reminder sent!');
+    Alert.alert(t('notifications.testSent'));
   };
 
-  const initials = editableUser.name
-    ? editableUser.name.split(' ').map(w => w[0]).join('').toUpperCase()
-    : '?';
+  const initials = initialsOf(editableUser.name);
 
   return (
     <LinearGradient colors={theme.gradientLight} style={{ flex: 1 }}>
       <ScrollView contentContainerStyle={[styles.screen, { padding: 20, backgroundColor: theme.background }]}>
         <StatusBar barStyle={theme.statusBarStyle} />
         <View style={{ alignItems: 'center', marginBottom: 20 }}>
-          <View style={{
+          <View importantForAccessibility="no-hide-descendants" accessibilityElementsHidden style={{
             width: 90, height: 90, borderRadius: 45, backgroundColor: theme.primary, justifyContent: 'center', alignItems: 'center',
             shadowColor: '#000', shadowOpacity: 0.25, shadowRadius: 6, elevation: 6,
           }}>
-            <Text style={{ fontSize: 36, color: '#fff', fontWeight: 'bold' }}>{initials}</Text>
+            <Text maxFontSizeMultiplier={1.3} style={{ fontSize: 36, color: theme.onPrimary, fontWeight: 'bold' }}>{initials}</Text>
           </View>
           <Text style={{ fontSize: 22, marginTop: 10, color: theme.text, fontWeight: '600' }}>
-            {editableUser.name || 'Your Name'}
+            {editableUser.name || t('settings.yourName')}
           </Text>
         </View>
 
         <View style={[styles.card, { backgroundColor: theme.card, borderColor: theme.border }]}>
-          <Text style={[styles.sectionTitle, { color: theme.primary }]}>👤 Profile Information</Text>
-          <TextInput style={[styles.input, { backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]} placeholder="Name" placeholderTextColor={theme.subtext} value={editableUser.name || ''} onChangeText={(v) => setEditableUser({ ...editableUser, name: v })} />
-          <TextInput style={[styles.input, { backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]} placeholder="Age" placeholderTextColor={theme.subtext} keyboardType="numeric" value={editableUser.age?.toString() || ''} onChangeText={(v) => setEditableUser({ ...editableUser, age: v })} />
-          <TextInput style={[styles.input, { backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]} placeholder="Weight (kg)" placeholderTextColor={theme.subtext} keyboardType="numeric" value={editableUser.weight?.toString() || ''} onChangeText={(v) => setEditableUser({ ...editableUser, weight: v })} />
-          <TextInput style={[styles.input, { backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]} placeholder="Daily Goal (ml)" placeholderTextColor={theme.subtext} keyboardType="numeric" value={customGoal} onChangeText={setCustomGoal} />
-          <TouchableOpacity style={styles.primaryBtn} onPress={saveUserInfo}>
+          <Text accessibilityRole="header" style={[styles.sectionTitle, { color: theme.primary }]}>{t('settings.profileInfo')}</Text>
+          <TextInput style={[styles.input, { backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]} placeholder={t('settings.name')} placeholderTextColor={theme.subtext} value={editableUser.name || ''} onChangeText={(v) => setEditableUser({ ...editableUser, name: v })} accessibilityLabel={t('settings.name')} />
+          <TextInput style={[styles.input, { backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]} placeholder={t('settings.age')} placeholderTextColor={theme.subtext} keyboardType="numeric" value={editableUser.age?.toString() || ''} onChangeText={(v) => setEditableUser({ ...editableUser, age: v })} accessibilityLabel={t('settings.age')} />
+          <TextInput style={[styles.input, { backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]} placeholder={t('settings.weight', { unit: UNIT_SYSTEMS[units].weight })} placeholderTextColor={theme.subtext} keyboardType="numeric" value={editableUser.weight?.toString() || ''} onChangeText={(v) => setEditableUser({ ...editableUser, weight: v })} accessibilityLabel={t('settings.weight', { unit: UNIT_SYSTEMS[units].weight })} />
+          <TextInput style={[styles.input, { backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]} placeholder={t('settings.dailyGoal', { unit: UNIT_SYSTEMS[units].volume })} placeholderTextColor={theme.subtext} keyboardType="numeric" value={customGoal} onChangeText={setCustomGoal} accessibilityLabel={t('settings.dailyGoal', { unit: UNIT_SYSTEMS[units].volume })} />
+          <TouchableOpacity style={styles.primaryBtn} onPress={saveUserInfo} accessibilityRole="button">
             <LinearGradient colors={theme.gradientPrimary} style={styles.btnGrad}>
-              <Text style={styles.btnText}>💾 Save Changes</Text>
+              <Text style={styles.btnText}>{t('settings.saveChanges')}</Text>
             </LinearGradient>
           </TouchableOpacity>
         </View>
 
+        <GoalCalculatorCard />
+
+        <ContainersCard />
+
         <View style={[styles.card, { backgroundColor: theme.card, borderColor: theme.border }]}>
-          <Text style={[styles.sectionTitle, { color: theme.primary }]}>🌙 Preferences</Text>
+          <Text accessibilityRole="header" style={[styles.sectionTitle, { color: theme.primary }]}>{t('settings.preferences')}</Text>
+          <Text style={[styles.settingLabel, { color: theme.text }]}>{t('theme.appearance')}</Text>
+          <ChoiceChips options={THEME_MODES} value={themeModeOf(settings)} onChange={(id) => setSettings({ ...settings, themeMode: id })} />
+          <Text style={[styles.settingLabel, { color: theme.text, marginTop: 8 }]}>{t('theme.accent')}</Text>
+          <AccentPicker />
           <View style={styles.settingRow}>
-            <Text style={[styles.settingLabel, { color: theme.text }]}>Dark Mode</Text>
-            <Switch value={settings.darkMode} onValueChange={toggleDark} />
+            <Text style={[styles.settingLabel, { color: theme.text }]}>{t('settings.highContrast')}</Text>
+            <Switch value={!!settings.highContrast} onValueChange={toggleHighContrast} accessibilityLabel={t('settings.highContrast')} />
           </View>
+          <Text style={[styles.settingLabel, { color: theme.text, marginTop: 8 }]}>{t('settings.units')}</Text>
+          <UnitPicker value={units} onChange={(id) => setSettings({ ...settings, units: id })} />
+          <Text style={[styles.settingLabel, { color: theme.text, marginTop: 8 }]}>{t('settings.language')}</Text>
+          <ChoiceChips options={LANGUAGES.map(l => ({ id: l.id, label: l.label || t('languages.system') }))}
+            value={settings.language || 'system'} onChange={(id) => setSettings({ ...settings, language: id })} />
+          <DayStartPicker />
           <View style={styles.settingRow}>
-            <Text style={[styles.settingLabel, { color: theme.text }]}>Reminders</Text>
+            <Text style={[styles.settingLabel, { color: theme.text }]}>{t('settings.reminders')}</Text>
             <Switch
               value={settings.remindersEnabled}
+              accessibilityLabel={t('settings.reminders')}
               onValueChange={() =>
                 setSettings({ ...settings, remindersEnabled: !settings.remindersEnabled })
               }
             />
           </View>
 
-          <TouchableOpacity style={[styles.secondaryBtn, { marginTop: 10, backgroundColor: theme.card, borderColor: theme.border }]} onPress={sendTestReminder}>
-            <Text style={{ color: theme.primary, fontWeight: '600' }}>🔔 Test Reminder</Text>
+          <TouchableOpacity style={[styles.secondaryBtn, { marginTop: 10, backgroundColor: theme.card, borderColor: theme.border }]} onPress={sendTestReminder} accessibilityRole="button">
+            <Text style={{ color: theme.primary, fontWeight: '600' }}>{t('settings.testReminder')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ReminderSettingsCard />
+
+        <View style={[styles.card, { backgroundColor: theme.card, borderColor: theme.border }]}>
+          <Text accessibilityRole="header" style={[styles.sectionTitle, { color: theme.primary }]}>{t('weather.settingsTitle')}</Text>
+          <Text style={{ color: theme.subtext }}>{t('weather.settingsHelp')}</Text>
+          <ChoiceChips options={WEATHER_PROVIDERS} value={settings.weatherProvider} onChange={(id) => setSettings({ ...settings, weatherProvider: id })} />
+          {settings.weatherProvider === 'file' ? (
+            <Text style={[styles.help, { color: theme.subtext }]}>{t('weather.fileHelp', { format: '{ "YYYY-MM-DD": { "tempC": 31, "humidity": 70 } }' })}</Text>
+          ) : null}
+        </View>
+
+        <View style={[styles.card, { backgroundColor: theme.card, borderColor: theme.border }]}>
+          <Text accessibilityRole="header" style={[styles.sectionTitle, { color: theme.primary }]}>{t('settings.myDrinks')}</Text>
+          {(settings.customBeverages || []).length === 0 ? (
+            <Text style={{ color: theme.subtext }}>{t('settings.myDrinksHelp')}</Text>
+          ) : null}
+          {(settings.customBeverages || []).map(b => (
+            <View key={b.id} style={styles.settingRow}>
+              <Ionicons name={b.icon} size={18} color={theme.primary} />
+              <Text style={[styles.settingLabel, { flex: 1, marginLeft: 8, color: theme.text }]}>{b.name} · {Math.round(b.factor * 100)}%</Text>
+              <TouchableOpacity onPress={() => removeCustomBeverage(b.id)} accessibilityRole="button" accessibilityLabel={t('a11y.remove', { name: b.name })}>
+                <Ionicons name="close-circle-outline" size={22} color={theme.subtext} />
+              </TouchableOpacity>
+            </View>
+          ))}
+          <TextInput style={[styles.input, { backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]} placeholder={t('settings.drinkName')} placeholderTextColor={theme.subtext} value={newBeverage.name} onChangeText={(v) => setNewBeverage({ ...newBeverage, name: v })} accessibilityLabel={t('settings.drinkName')} />
+          <TextInput style={[styles.input, { backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]} placeholder={t('settings.countsAsWater')} placeholderTextColor={theme.subtext} keyboardType="numeric" value={newBeverage.percent} onChangeText={(v) => setNewBeverage({ ...newBeverage, percent: v })} accessibilityLabel={t('settings.countsAsWater')} />
+          <View style={{ flexDirection: 'row', marginTop: 10, justifyContent: 'center' }}>
+            {CUSTOM_BEVERAGE_ICONS.map((icon, i) => (
+              <TouchableOpacity key={icon} onPress={() => setNewBeverage({ ...newBeverage, icon })}
+                accessibilityRole="button" accessibilityState={{ selected: icon === newBeverage.icon }}
+                accessibilityLabel={t('a11y.iconOption', { index: i + 1, count: CUSTOM_BEVERAGE_ICONS.length })}
+                style={[styles.chip, { borderColor: icon === newBeverage.icon ? theme.primary : theme.border }]}>
+                <Ionicons name={icon} size={18} color={theme.primary} />
+              </TouchableOpacity>
+            ))}
+          </View>
+          <TouchableOpacity style={[styles.secondaryBtn, { alignSelf: 'center', backgroundColor: theme.card, borderColor: theme.border }]} onPress={addCustomBeverage} accessibilityRole="button">
+            <Text style={{ color: theme.primary, fontWeight: '600' }}>{t('settings.addDrink')}</Text>
           </TouchableOpacity>
         </View>
 
+        <BackupCard />
+
+        <SyncSettingsCard />
+
         <View style={[styles.card, { backgroundColor: theme.card, borderColor: theme.border }]}>
-          <Text style={[styles.sectionTitle, { color: theme.primary }]}>🧩 Actions</Text>
-          <TouchableOpacity style={[styles.secondaryBtn, { backgroundColor: '#e0f7fa' }]} onPress={resetToday}>
-            <Text style={{ color: '#00796b', fontWeight: '600' }}>🔄 Reset Today</Text>
+          <Text accessibilityRole="header" style={[styles.sectionTitle, { color: theme.primary }]}>{t('settings.actions')}</Text>
+          <TouchableOpacity style={[styles.secondaryBtn, { backgroundColor: theme.primaryTint, borderColor: theme.border }]} onPress={resetToday} accessibilityRole="button" accessibilityHint={t('a11y.resetTodayHint')}>
+            <Text style={{ color: theme.primary, fontWeight: '600' }}>{t('settings.resetToday')}</Text>
           </TouchableOpacity>
-          <TouchableOpacity style={[styles.secondaryBtn, { backgroundColor: '#ffe5e5' }]} onPress={clearAllData}>
-            <Text style={{ color: '#c62828', fontWeight: '600' }}>🗑️ Clear All Data</Text>
+          {profiles.length > 1 ? (
+            <TouchableOpacity style={[styles.secondaryBtn, { backgroundColor: theme.dangerTint, borderColor: theme.border }]} onPress={confirmDeleteProfile} accessibilityRole="button" accessibilityHint={t('a11y.clearHint')}>
+              <Text style={{ color: theme.danger, fontWeight: '600' }}>{t('settings.deleteThisProfile')}</Text>
+            </TouchableOpacity>
+          ) : null}
+          <TouchableOpacity style={[styles.secondaryBtn, { backgroundColor: theme.dangerTint, borderColor: theme.border }]} onPress={confirmClearAllData} accessibilityRole="button" accessibilityHint={t('a11y.clearHint')}>
+            <Text style={{ color: theme.danger, fontWeight: '600' }}>{t('settings.clearAllData')}</Text>
           </TouchableOpacity>
         </View>
 
         <Text style={{ textAlign: 'center', color: theme.subtext, marginTop: 20 }}>
-          💧 HydrateMate | Stay Fresh, Stay Hydrated
+          {t('settings.footer')}
         </Text>
       </ScrollView>
     </LinearGradient>
   );
 }
 
-// -------------------- Achievements Screen --------------------
-function AchievementsScreen() {
-  const { intakeLog, theme } = useApp();
-  const streak = computeStreak(intakeLog);
-  const achievements = [];
-  if (streak >= 7) achievements.push('7-day Streak');
-  if (streak >= 30) achievements.push('30-day Streak');
+/**
+ * DayStartPicker()
+ * When the profile's day starts: at wake time (the default) or at a fixed hour, stepped an
+ * hour at a time. Which day every drink counts toward follows it.
+ */
+function DayStartPicker() {
+  const { user, settings, setSettings, theme } = useApp();
+  const fixed = Number.isInteger(settings.dayStartHour);
+  const wakeTime = parseTime(user?.wakeTime || settings.wakeTime).value || '00:00';
+  const start = dayStartMinutesOf(user, settings);
+  const startLabel = `${String(Math.floor(start / 60)).padStart(2, '0')}:${String(start % 60).padStart(2, '0')}`;
+  const options = [
+    { id: 'wake', label: t('dayStart.wake', { time: wakeTime }) },
+    { id: 'fixed', label: t('dayStart.fixed') }
+  ];
+  const setHour = (hour) => setSettings({ ...settings, dayStartHour: hour === null ? null : (hour + 24) % 24 });
+
+  return (
+    <View>
+      <Text style={[styles.settingLabel, { color: theme.text, marginTop: 8 }]}>{t('dayStart.title')}</Text>
+      <ChoiceChips options={options} value={fixed ? 'fixed' : 'wake'} onChange={(id) => setHour(id === 'fixed' ? Math.floor(start / 60) : null)} />
+      {fixed ? (
+        <View style={[styles.settingRow, { justifyContent: 'center' }]}>
+          <TouchableOpacity onPress={() => setHour(settings.dayStartHour - 1)} accessibilityRole="button" accessibilityLabel={t('dayStart.earlier')}>
+            <Ionicons name="remove-circle-outline" size={28} color={theme.primary} />
+          </TouchableOpacity>
+          <Text style={{ color: theme.text, fontSize: 18, fontWeight: '700', marginHorizontal: 16 }}>{startLabel}</Text>
+          <TouchableOpacity onPress={() => setHour(settings.dayStartHour + 1)} accessibilityRole="button" accessibilityLabel={t('dayStart.later')}>
+            <Ionicons name="add-circle-outline" size={28} color={theme.primary} />
+          </TouchableOpacity>
+        </View>
+      ) : null}
+      <Text style={[styles.help, { color: theme.subtext }]}>{t('dayStart.help', { time: startLabel })}</Text>
+    </View>
+  );
+}
+
+/**
+ * AccentPicker()
+ * One swatch per accent palette, shown in the colour it would give the current appearance,
+ * plus a custom swatch that takes any #rrggbb colour.
+ */
+function AccentPicker() {
+  const { settings, setSettings, theme } = useApp();
+  const [customDraft, setCustomDraft] = useState(settings.customAccent || DEFAULT_CUSTOM_ACCENT);
+  const current = settings.accent || DEFAULT_ACCENT;
+  const customTheme = makeTheme(theme.isDark, { accent: 'custom', customAccent: settings.customAccent });
+  const swatches = [
+    ...ACCENTS.map(a => ({ id: a.id, label: a.label, color: makeTheme(theme.isDark, { accent: a.id }).primary })),
+    { id: 'custom', label: t('theme.accents.custom'), color: customTheme.primary }
+  ];
+
+  const applyCustom = () => {
+    const color = normalizeHex(customDraft);
+    if (!color) { Alert.alert(t('theme.invalidColor')); return; }
+    setCustomDraft(color);
+    setSettings({ ...settings, accent: 'custom', customAccent: color });
+  };
+
+  return (
+    <View>
+      <View style={styles.chipWrap}>
+        {swatches.map(s => {
+          const active = s.id === current;
+          return (
+            <TouchableOpacity key={s.id} onPress={() => setSettings({ ...settings, accent: s.id })}
+              accessibilityRole="button" accessibilityLabel={s.label} accessibilityState={{ selected: active }}
+              style={[styles.swatch, { backgroundColor: s.color, borderColor: active ? theme.text : theme.border }]}>
+              {s.id === 'custom' ? <Ionicons name="color-palette-outline" size={18} color={customTheme.onPrimary} /> : null}
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      {current === 'custom' ? (
+        <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+          <TextInput style={[styles.input, { width: '60%', backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]}
+            placeholder={t('theme.customPlaceholder')} placeholderTextColor={theme.subtext} autoCapitalize="none" autoCorrect={false}
+            value={customDraft} onChangeText={setCustomDraft} accessibilityLabel={t('theme.customPlaceholder')} />
+          <TouchableOpacity style={[styles.chip, { marginTop: 10, marginLeft: 8, borderColor: theme.primary }]} onPress={applyCustom} accessibilityRole="button">
+            <Text style={{ color: theme.primary, fontWeight: '600' }}>{t('theme.apply')}</Text>
+          </TouchableOpacity>
+        </View>
+      ) : null}
+      {settings.highContrast ? <Text style={[styles.help, { color: theme.subtext }]}>{t('theme.highContrastNote')}</Text> : null}
+    </View>
+  );
+}
 
-  const overachiever = intakeLog.some(d => d.intake >= 1.2 * (loadTodayGoalFromStorageSync() || 2000));
-  if (overachiever) achievements.push('Overachiever');
+/**
+ * GoalCalculatorCard()
+ * Re-runs calculateGoal with the saved weight and age and lets the user adopt the result.
+ * Only today's goal changes; past days keep the goal recorded for them.
+ */
+function GoalCalculatorCard() {
+  const { user, setUser, units, theme } = useApp();
+  const [factors, setFactors] = useState(() => goalFactorsOf(user));
+  useEffect(() => { setFactors(goalFactorsOf(user)); }, [user]);
+  const result = calculateGoal({ ...factors, weight: user?.weight, age: user?.age });
+
+  const applyResult = () => {
+    setUser({ ...user, ...factors, goal: result.goal });
+    Alert.alert(t('goal.calculator.updatedTitle'), t('goal.calculator.updatedBody', { amount: formatVolume(result.goal, units) }));
+  };
 
   return (
-    <ScrollView contentContainerStyle={[styles.screen, { backgroundColor: theme.background }]}>
-      <StatusBar barStyle={theme.statusBarStyle} />
-      <TopBar title="Achievements" />
-      <Text style={[styles.title, { color: theme.text }]}>Achievements</Text>
-      {achievements.length === 0 ? <Text style={[styles.help, { color: theme.subtext }]}>No achievements yet — keep going!</Text> : (
-        achievements.map((a,i) => (
-          <View key={i} style={[styles.achRow, { backgroundColor: theme.card, borderColor: theme.border }]}><Text style={{ fontWeight: '600', color: theme.text }}>🏅 {a}</Text></View>
-        ))
-      )}
-    </ScrollView>
+    <View style={[styles.card, { backgroundColor: theme.card, borderColor: theme.border }]}>
+      <Text accessibilityRole="header" style={[styles.sectionTitle, { color: theme.primary }]}>{t('goal.calculator.title')}</Text>
+      <Text style={{ color: theme.subtext }}>{t('goal.calculator.help')}</Text>
+      <GoalFactorsForm value={factors} onChange={setFactors} />
+      <GoalBreakdown result={result} />
+      {result.steps.length > 0 ? (
+        <TouchableOpacity style={styles.primaryBtn} onPress={applyResult} accessibilityRole="button">
+          <LinearGradient colors={theme.gradientPrimary} style={styles.btnGrad}>
+            <Text style={styles.btnText}>{t('goal.calculator.use', { amount: formatVolume(result.goal, units) })}</Text>
+          </LinearGradient>
+        </TouchableOpacity>
+      ) : null}
+    </View>
+  );
+}
+
+/**
+ * ContainersCard()
+ * The quick-add buttons on Home: add, remove and reorder them.
+ */
+function ContainersCard() {
+  const { settings, setSettings, getBeverage, units, theme } = useApp();
+  const containers = settings.containers || [];
+  const emptyDraft = { name: '', amount: '', icon: CONTAINER_ICONS[0], beverage: null };
+  const [draft, setDraft] = useState(emptyDraft);
+
+  const save = (next) => setSettings({ ...settings, containers: next });
+
+  const move = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= containers.length) return;
+    const next = [...containers];
+    [next[index], next[target]] = [next[target], next[index]];
+    save(next);
+  };
+
+  const addContainer = () => {
+    const name = draft.name.trim();
+    const amount = parseVolume(draft.amount, units);
+    if (!name) { Alert.alert(t('containers.nameMissing')); return; }
+    if (!amount || amount > 5000) { Alert.alert(t('containers.invalidSize', { unit: UNIT_SYSTEMS[units].volume, max: formatVolume(5000, units) })); return; }
+    save([...containers, { id: `container_${makeId()}`, name, icon: draft.icon, amount, beverage: draft.beverage }]);
+    setDraft(emptyDraft);
+  };
+
+  return (
+    <View style={[styles.card, { backgroundColor: theme.card, borderColor: theme.border }]}>
+      <Text accessibilityRole="header" style={[styles.sectionTitle, { color: theme.primary }]}>{t('containers.title')}</Text>
+      {containers.length === 0 ? <Text style={{ color: theme.subtext }}>{t('containers.empty')}</Text> : null}
+      {containers.map((c, i) => (
+        <View key={c.id} style={styles.settingRow}>
+          <Ionicons name={c.icon} size={18} color={theme.primary} />
+          <Text style={[styles.settingLabel, { flex: 1, marginLeft: 8, color: theme.text }]}>
+            {c.name} · {formatVolume(c.amount, units)}{c.beverage ? ` · ${getBeverage(c.beverage).name}` : ''}
+          </Text>
+          <TouchableOpacity onPress={() => move(i, -1)} disabled={i === 0}
+            accessibilityRole="button" accessibilityLabel={t('a11y.moveUp', { name: c.name })} accessibilityState={{ disabled: i === 0 }}>
+            <Ionicons name="chevron-up" size={22} color={i === 0 ? theme.border : theme.subtext} />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => move(i, 1)} disabled={i === containers.length - 1}
+            accessibilityRole="button" accessibilityLabel={t('a11y.moveDown', { name: c.name })} accessibilityState={{ disabled: i === containers.length - 1 }}>
+            <Ionicons name="chevron-down" size={22} color={i === containers.length - 1 ? theme.border : theme.subtext} />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => save(containers.filter(x => x.id !== c.id))} accessibilityRole="button" accessibilityLabel={t('a11y.remove', { name: c.name })}>
+            <Ionicons name="close-circle-outline" size={22} color={theme.subtext} />
+          </TouchableOpacity>
+        </View>
+      ))}
+      <View style={{ flexDirection: 'row', justifyContent: 'space-between', width: '100%' }}>
+        <TextInput style={[styles.input, { width: '58%', backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]} placeholder={t('containers.namePlaceholder')} placeholderTextColor={theme.subtext} value={draft.name} onChangeText={v => setDraft({ ...draft, name: v })} accessibilityLabel={t('containers.namePlaceholder')} />
+        <TextInput style={[styles.input, { width: '38%', backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]} placeholder={t('containers.sizePlaceholder', { unit: UNIT_SYSTEMS[units].volume })} placeholderTextColor={theme.subtext} keyboardType="numeric" value={draft.amount} onChangeText={v => setDraft({ ...draft, amount: v })} accessibilityLabel={t('containers.sizePlaceholder', { unit: UNIT_SYSTEMS[units].volume })} />
+      </View>
+      <View style={{ flexDirection: 'row', marginTop: 10, justifyContent: 'center' }}>
+        {CONTAINER_ICONS.map((icon, i) => (
+          <TouchableOpacity key={icon} onPress={() => setDraft({ ...draft, icon })}
+            accessibilityRole="button" accessibilityState={{ selected: icon === draft.icon }}
+            accessibilityLabel={t('a11y.iconOption', { index: i + 1, count: CONTAINER_ICONS.length })}
+            style={[styles.chip, { borderColor: icon === draft.icon ? theme.primary : theme.border }]}>
+            <Ionicons name={icon} size={18} color={theme.primary} />
+          </TouchableOpacity>
+        ))}
+      </View>
+      <BeveragePicker value={draft.beverage} onChange={b => setDraft({ ...draft, beverage: b })} noneLabel={t('containers.selectedDrink')} />
+      <TouchableOpacity style={[styles.secondaryBtn, { alignSelf: 'center', backgroundColor: theme.card, borderColor: theme.border }]} onPress={addContainer} accessibilityRole="button">
+        <Text style={{ color: theme.primary, fontWeight: '600' }}>{t('containers.add')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+/**
+ * SyncSettingsCard()
+ * The sync endpoint (lib/sync.js) and how the last run went. Also shown during onboarding,
+ * where it brings profiles over from another device.
+ */
+function SyncSettingsCard() {
+  const { syncConfig, syncStatus, updateSyncConfig, syncNow, addSyncedProfiles, theme } = useApp();
+  const [url, setUrl] = useState(syncConfig.url);
+  const [token, setToken] = useState(syncConfig.token);
+  useEffect(() => { setUrl(syncConfig.url); setToken(syncConfig.token); }, [syncConfig.url, syncConfig.token]);
+  const edited = url.trim() !== syncConfig.url || token !== syncConfig.token;
+
+  const setEnabled = async (enabled) => {
+    if (enabled && !isSyncUrl(url)) { Alert.alert(t('sync.invalidUrl')); return; }
+    await updateSyncConfig({ enabled, url, token });
+  };
+
+  // changed connection details are saved first, and saving them starts a run of its own
+  const onSyncNow = async () => {
+    if (!edited) { syncNow(); return; }
+    if (!isSyncUrl(url)) { Alert.alert(t('sync.invalidUrl')); return; }
+    await updateSyncConfig({ url, token });
+  };
+
+  const getProfiles = async () => {
+    try {
+      const added = await addSyncedProfiles();
+      Alert.alert(added ? t('sync.profilesAdded', { count: added }) : t('sync.noNewProfiles'));
+    } catch (e) {
+      console.warn('sync profiles err', e);
+      Alert.alert(t('sync.failed', { message: String(e.message || e) }));
+    }
+  };
+
+  let status = t('sync.off');
+  if (syncConfig.enabled) {
+    if (syncStatus.running) status = t('sync.running');
+    else if (syncStatus.error) status = t('sync.offline', { count: syncStatus.pending, message: syncStatus.error });
+    else if (syncStatus.lastSyncAt) status = t('sync.synced', { time: dayjs(syncStatus.lastSyncAt).format('HH:mm') });
+    else status = t('sync.notYet');
+  }
+
+  return (
+    <View style={[styles.card, { backgroundColor: theme.card, borderColor: theme.border }]}>
+      <Text accessibilityRole="header" style={[styles.sectionTitle, { color: theme.primary }]}>{t('sync.title')}</Text>
+      <Text style={{ color: theme.subtext }}>{t('sync.help')}</Text>
+      <TextInput style={[styles.input, { width: '100%', backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]}
+        placeholder={t('sync.url')} placeholderTextColor={theme.subtext} autoCapitalize="none" autoCorrect={false} keyboardType="url"
+        value={url} onChangeText={setUrl} accessibilityLabel={t('sync.url')} />
+      <TextInput style={[styles.input, { width: '100%', backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]}
+        placeholder={t('sync.token')} placeholderTextColor={theme.subtext} autoCapitalize="none" autoCorrect={false} secureTextEntry
+        value={token} onChangeText={setToken} accessibilityLabel={t('sync.token')} />
+      <View style={styles.settingRow}>
+        <Text style={[styles.settingLabel, { color: theme.text }]}>{t('sync.enabled')}</Text>
+        <Switch value={syncConfig.enabled} onValueChange={setEnabled} accessibilityLabel={t('sync.enabled')} />
+      </View>
+      <Text accessibilityLiveRegion="polite" style={{ color: syncConfig.enabled && syncStatus.error ? theme.danger : theme.subtext }}>{status}</Text>
+      {syncConfig.enabled ? (
+        <>
+          <TouchableOpacity style={[styles.secondaryBtn, { alignSelf: 'center', backgroundColor: theme.card, borderColor: theme.border }]} onPress={onSyncNow} disabled={syncStatus.running} accessibilityRole="button" accessibilityState={{ disabled: syncStatus.running }}>
+            <Text style={{ color: theme.primary, fontWeight: '600' }}>{t('sync.syncNow')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={[styles.secondaryBtn, { alignSelf: 'center', backgroundColor: theme.card, borderColor: theme.border }]} onPress={getProfiles} accessibilityRole="button">
+            <Text style={{ color: theme.primary, fontWeight: '600' }}>{t('sync.getProfiles')}</Text>
+          </TouchableOpacity>
+        </>
+      ) : null}
+    </View>
+  );
+}
+
+function BackupCard() {
+  const { entries, getBeverage, exportBackup, applyBackup, theme } = useApp();
+
+  const exportJson = async () => {
+    try {
+      await shareTextFile(`hydratemate-backup-${formatDate()}.json`, JSON.stringify(exportBackup(), null, 2), 'application/json');
+    } catch (e) { console.warn('export err', e); Alert.alert(t('backup.exportFailed'), String(e.message || e)); }
+  };
+
+  const exportCsv = async () => {
+    try {
+      await shareTextFile(`hydratemate-history-${formatDate()}.csv`, entriesToCsv(entries, getBeverage), 'text/csv');
+    } catch (e) { console.warn('csv export err', e); Alert.alert(t('backup.exportFailed'), String(e.message || e)); }
+  };
+
+  const importJson = async () => {
+    let raw;
+    try { raw = await pickTextFile(); }
+    catch (e) { Alert.alert(t('backup.importFailed'), t('backup.unreadable')); return; }
+    if (raw == null) return;
+    const result = validateBackup(raw);
+    if (!result.ok) { Alert.alert(t('backup.invalid'), result.errors.join('\n')); return; }
+    const count = result.data.entries.length;
+    Alert.alert(t('backup.importTitle'), t('backup.importBody', { count }), [
+      { text: t('common.cancel'), style: 'cancel' },
+      { text: t('backup.merge'), onPress: () => { applyBackup(result.data, 'merge'); Alert.alert(t('backup.merged')); } },
+      { text: t('backup.replace'), style: 'destructive', onPress: () => { applyBackup(result.data, 'replace'); Alert.alert(t('backup.restored')); } }
+    ]);
+  };
+
+  return (
+    <View style={[styles.card, { backgroundColor: theme.card, borderColor: theme.border }]}>
+      <Text accessibilityRole="header" style={[styles.sectionTitle, { color: theme.primary }]}>{t('backup.title')}</Text>
+      <TouchableOpacity style={[styles.secondaryBtn, { alignSelf: 'center', backgroundColor: theme.card, borderColor: theme.border }]} onPress={exportJson} accessibilityRole="button">
+        <Text style={{ color: theme.primary, fontWeight: '600' }}>{t('backup.exportJson')}</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={[styles.secondaryBtn, { alignSelf: 'center', backgroundColor: theme.card, borderColor: theme.border }]} onPress={importJson} accessibilityRole="button">
+        <Text style={{ color: theme.primary, fontWeight: '600' }}>{t('backup.import')}</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={[styles.secondaryBtn, { alignSelf: 'center', backgroundColor: theme.card, borderColor: theme.border }]} onPress={exportCsv} accessibilityRole="button">
+        <Text style={{ color: theme.primary, fontWeight: '600' }}>{t('backup.exportCsv')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const REMINDER_INTERVAL_OPTIONS = [30, 45, 60, 90, 120, 180];
+const QUIET_DAY_OPTIONS = [
+  { id: 'all', get label() { return t('reminders.days.all'); } },
+  { id: 'weekdays', get label() { return t('reminders.days.weekdays'); } },
+  { id: 'weekends', get label() { return t('reminders.days.weekends'); } }
+];
+function reminderDraftFrom(user, settings) {
+  return {
+    wakeTime: user?.wakeTime || settings.wakeTime,
+    bedTime: user?.bedTime || settings.bedTime,
+    reminderIntervalMins: settings.reminderIntervalMins || 120,
+    weekendSchedule: { enabled: false, wakeTime: '09:00', bedTime: '23:30', reminderIntervalMins: 120, ...(settings.weekendSchedule || {}) },
+    quietHours: settings.quietHours || []
+  };
+}
+
+// everything wrong with the draft's schedules; weekend problems are labelled as such
+function draftScheduleErrors(draft) {
+  const errors = validateSchedule(draft);
+  if (draft.weekendSchedule.enabled) {
+    errors.push(...validateSchedule(draft.weekendSchedule).map(e => `${t('reminders.days.weekends')}: ${e}`));
+  }
+  return errors;
+}
+
+function IntervalPicker({ value, onChange }) {
+  const { theme } = useApp();
+  return (
+    <View style={styles.chipWrap}>
+      {REMINDER_INTERVAL_OPTIONS.map(mins => {
+        const active = mins === value;
+        return (
+          <TouchableOpacity key={mins} onPress={() => onChange(mins)} accessibilityRole="button" accessibilityState={{ selected: active }}
+            style={[styles.chip, { marginTop: 6, borderColor: active ? theme.primary : theme.border, backgroundColor: active ? theme.primary : theme.card }]}>
+            <Text style={{ color: active ? theme.onPrimary : theme.text }}>{mins < 60 ? t('reminders.minutes', { count: mins }) : t('reminders.hours', { count: formatNumber(mins / 60, 1) })}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+}
+
+function ReminderSettingsCard() {
+  const { user, setUser, settings, setSettings, totals, goalFor, theme } = useApp();
+  const [draft, setDraft] = useState(() => reminderDraftFrom(user, settings));
+  const [newQuiet, setNewQuiet] = useState({ label: '', start: '12:00', end: '13:00', days: 'weekdays' });
+
+  useEffect(() => {
+    setDraft(reminderDraftFrom(user, settings));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?.wakeTime, user?.bedTime, settings.wakeTime, settings.bedTime, settings.reminderIntervalMins, settings.weekendSchedule, settings.quietHours]);
+
+  const patch = (p) => setDraft(d => ({ ...d, ...p }));
+  const patchWeekend = (p) => setDraft(d => ({ ...d, weekendSchedule: { ...d.weekendSchedule, ...p } }));
+  const half = { width: '48%' };
+
+  const addQuietHours = () => {
+    const start = parseTime(newQuiet.start);
+    const end = parseTime(newQuiet.end);
+    const errors = [];
+    if (!start.ok) errors.push(describeTimeError(start.error, t('reminders.from')));
+    if (!end.ok) errors.push(describeTimeError(end.error, t('reminders.to')));
+    if (!errors.length && start.value === end.value) errors.push(t('reminders.sameQuiet'));
+    if (errors.length) { Alert.alert(t('validation.title'), errors.join('\n')); return; }
+    const block = { ...newQuiet, id: makeId(), label: newQuiet.label.trim() || t('reminders.quietDefault'), start: start.value, end: end.value };
+    patch({ quietHours: [...draft.quietHours, block] });
+    setNewQuiet({ label: '', start: '12:00', end: '13:00', days: 'weekdays' });
+  };
+
+  const save = () => {
+    const errors = draftScheduleErrors(draft);
+    if (errors.length) { Alert.alert(t('validation.title'), errors.join('\n')); return; }
+    const next = {
+      ...draft,
+      wakeTime: parseTime(draft.wakeTime).value,
+      bedTime: parseTime(draft.bedTime).value,
+      weekendSchedule: draft.weekendSchedule.enabled
+        ? { ...draft.weekendSchedule, wakeTime: parseTime(draft.weekendSchedule.wakeTime).value, bedTime: parseTime(draft.weekendSchedule.bedTime).value }
+        : draft.weekendSchedule
+    };
+    setSettings({ ...settings, ...next });
+    if (user) setUser({ ...user, wakeTime: next.wakeTime, bedTime: next.bedTime });
+    Alert.alert(t('reminders.saved'));
+  };
+
+  // the same planner the scheduler uses, so this is exactly what will be sent
+  let preview = [];
+  const draftErrors = draftScheduleErrors(draft);
+  if (settings.remindersEnabled && !draftErrors.length) {
+    const draftSettings = { ...settings, ...draft };
+    preview = planReminders(new Date(), {
+      scheduleFor: day => reminderScheduleFor(day, null, draftSettings),
+      intake: totals[formatDate()] || 0,
+      goal: goalFor(formatDate()),
+      units: unitsOf(settings)
+    });
+  }
+  const previewByDay = {};
+  preview.forEach(r => { const d = formatDay(r.date, 'day'); (previewByDay[d] = previewByDay[d] || []).push(`${dayjs(r.date).format('HH:mm')}${r.repeats ? ' ↻' : ''}`); });
+
+  return (
+    <View style={[styles.card, { backgroundColor: theme.card, borderColor: theme.border }]}>
+      <Text accessibilityRole="header" style={[styles.sectionTitle, { color: theme.primary }]}>{t('reminders.title')}</Text>
+
+      <Text style={[styles.settingLabel, { color: theme.text }]}>{draft.weekendSchedule.enabled ? t('reminders.days.weekdays') : t('reminders.days.all')}</Text>
+      <View style={{ flexDirection: 'row', justifyContent: 'space-between' }}>
+        <TimeField label={t('reminders.wakeTime')} value={draft.wakeTime} onChange={v => patch({ wakeTime: v })} style={half} />
+        <TimeField label={t('reminders.bedTime')} value={draft.bedTime} onChange={v => patch({ bedTime: v })} style={half} />
+      </View>
+      <Text style={{ color: theme.subtext, marginTop: 10 }}>{t('reminders.every')}</Text>
+      <IntervalPicker value={draft.reminderIntervalMins} onChange={mins => patch({ reminderIntervalMins: mins })} />
+
+      <View style={styles.settingRow}>
+        <Text style={[styles.settingLabel, { color: theme.text }]}>{t('reminders.differentWeekend')}</Text>
+        <Switch value={draft.weekendSchedule.enabled} onValueChange={v => patchWeekend({ enabled: v })} accessibilityLabel={t('reminders.differentWeekend')} />
+      </View>
+      {draft.weekendSchedule.enabled ? (
+        <View>
+          <Text style={[styles.settingLabel, { color: theme.text, marginTop: 8 }]}>{t('reminders.days.weekends')}</Text>
+          <View style={{ flexDirection: 'row', justifyContent: 'space-between' }}>
+            <TimeField label={t('reminders.wakeTime')} value={draft.weekendSchedule.wakeTime} onChange={v => patchWeekend({ wakeTime: v })} style={half}
+              accessibilityLabel={`${t('reminders.days.weekends')}: ${t('reminders.wakeTime')}`} />
+            <TimeField label={t('reminders.bedTime')} value={draft.weekendSchedule.bedTime} onChange={v => patchWeekend({ bedTime: v })} style={half}
+              accessibilityLabel={`${t('reminders.days.weekends')}: ${t('reminders.bedTime')}`} />
+          </View>
+          <IntervalPicker value={draft.weekendSchedule.reminderIntervalMins} onChange={mins => patchWeekend({ reminderIntervalMins: mins })} />
+        </View>
+      ) : null}
+
+      <Text style={[styles.settingLabel, { color: theme.text, marginTop: 14 }]}>{t('reminders.quietHours')}</Text>
+      {draft.quietHours.length === 0 ? <Text style={{ color: theme.subtext }}>{t('reminders.quietEmpty')}</Text> : null}
+      {draft.quietHours.map(q => (
+        <View key={q.id} style={styles.settingRow}>
+          <Text style={{ flex: 1, color: theme.text }}>{q.label} · {q.start}–{q.end} · {QUIET_DAY_OPTIONS.find(o => o.id === q.days)?.label}</Text>
+          <TouchableOpacity onPress={() => patch({ quietHours: draft.quietHours.filter(b => b.id !== q.id) })} accessibilityRole="button" accessibilityLabel={t('a11y.remove', { name: q.label })}>
+            <Ionicons name="close-circle-outline" size={22} color={theme.subtext} />
+          </TouchableOpacity>
+        </View>
+      ))}
+      <TextInput style={[styles.input, { width: '100%', backgroundColor: theme.inputBg, color: theme.text, borderColor: theme.border }]} placeholder={t('reminders.labelPlaceholder')} placeholderTextColor={theme.subtext} value={newQuiet.label} onChangeText={v => setNewQuiet({ ...newQuiet, label: v })} accessibilityLabel={t('reminders.labelPlaceholder')} />
+      <View style={{ flexDirection: 'row', justifyContent: 'space-between' }}>
+        <TimeField label={t('reminders.from')} value={newQuiet.start} onChange={v => setNewQuiet({ ...newQuiet, start: v })} style={half} />
+        <TimeField label={t('reminders.to')} value={newQuiet.end} onChange={v => setNewQuiet({ ...newQuiet, end: v })} style={half} />
+      </View>
+      <View style={styles.chipWrap}>
+        {QUIET_DAY_OPTIONS.map(o => (
+          <TouchableOpacity key={o.id} onPress={() => setNewQuiet({ ...newQuiet, days: o.id })} accessibilityRole="button" accessibilityState={{ selected: o.id === newQuiet.days }}
+            style={[styles.chip, { marginTop: 6, borderColor: o.id === newQuiet.days ? theme.primary : theme.border }]}>
+            <Text style={{ color: theme.text }}>{o.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <TouchableOpacity style={[styles.secondaryBtn, { alignSelf: 'center', backgroundColor: theme.card, borderColor: theme.border }]} onPress={addQuietHours} accessibilityRole="button">
+        <Text style={{ color: theme.primary, fontWeight: '600' }}>{t('reminders.addQuiet')}</Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity style={[styles.primaryBtn, { alignSelf: 'center' }]} onPress={save} accessibilityRole="button">
+        <LinearGradient colors={theme.gradientPrimary} style={styles.btnGrad}>
+          <Text style={styles.btnText}>{t('reminders.save')}</Text>
+        </LinearGradient>
+      </TouchableOpacity>
+
+      <Text style={[styles.settingLabel, { color: theme.text, marginTop: 14 }]}>{t('reminders.preview')}</Text>
+      {!settings.remindersEnabled ? <Text style={{ color: theme.subtext }}>{t('reminders.off')}</Text> : null}
+      {settings.remindersEnabled && draftErrors.length ? <Text style={{ color: theme.danger }}>{draftErrors.join('\n')}</Text> : null}
+      {Object.entries(previewByDay).map(([day, times]) => (
+        <Text key={day} style={{ color: theme.subtext, marginTop: 4 }}>
+          <Text style={{ fontWeight: '700', color: theme.text }}>{day}: </Text>{times.join(', ')}
+        </Text>
+      ))}
+      {preview.some(r => r.repeats) ? <Text style={[styles.help, { color: theme.subtext }]}>{t('reminders.repeatHelp')}</Text> : null}
+    </View>
   );
 }
-function computeStreak(log) {
-  const goal = loadTodayGoalFromStorageSync() || 2000;
+
+// -------------------- Achievements --------------------
+// Each badge reads one metric from computeAchievementMetrics and unlocks once it reaches `target`.
+// Titles and descriptions are in the catalogs under achievements.items.<id>.
+const ACHIEVEMENTS = [
+  { id: 'streak_3', icon: 'flame-outline', metric: 'streak', target: 3, unit: 'days' },
+  { id: 'streak_7', icon: 'flame-outline', metric: 'streak', target: 7, unit: 'days' },
+  { id: 'streak_30', icon: 'bonfire-outline', metric: 'streak', target: 30, unit: 'days' },
+  { id: 'volume_10', icon: 'water-outline', metric: 'litres', target: 10, unit: 'L' },
+  { id: 'volume_100', icon: 'boat-outline', metric: 'litres', target: 100, unit: 'L' },
+  { id: 'volume_1000', icon: 'planet-outline', metric: 'litres', target: 1000, unit: 'L' },
+  { id: 'early_bird', icon: 'sunny-outline', metric: 'earlyBirdDays', target: 1, unit: 'days' },
+  { id: 'early_bird_10', icon: 'alarm-outline', metric: 'earlyBirdDays', target: 10, unit: 'days' },
+  { id: 'perfect_week', icon: 'calendar-outline', metric: 'bestWeekDays', target: 7, unit: 'days' },
+  { id: 'variety', icon: 'color-palette-outline', metric: 'beverageVariety', target: 5, unit: 'drinks' },
+  { id: 'overachiever', icon: 'rocket-outline', metric: 'overachieverDays', target: 1, unit: 'days' }
+];
+
+function achievementTitle(a) { return t(`achievements.items.${a.id}.title`); }
+
+// volume targets are defined in litres and shown in the profile's units
+function describeAchievement(a, units = 'metric') {
+  return t(`achievements.items.${a.id}.description`, { volume: formatLargeVolume(a.target * 1000, units) });
+}
+
+function achievementProgress(a, units) {
+  if (a.metric === 'litres') return `${formatLargeVolume(Math.min(a.value, a.target) * 1000, units)} / ${formatLargeVolume(a.target * 1000, units)}`;
+  return t(`achievements.progress.${a.unit}`, { value: Math.min(a.value, a.target), count: a.target });
+}
+
+/**
+ * computeAchievementMetrics(entries, totals, goalFor, onDay)
+ * Replays history a day at a time and returns the metrics as of now, with the current streak.
+ * `onDay(date, metrics)`, if given, sees them as they stood at the end of each day.
+ */
+function computeAchievementMetrics(entries, totals, goalFor, onDay) {
+  const byDay = {};
+  for (const e of entries) (byDay[entryDate(e)] = byDay[entryDate(e)] || []).push(e);
+  const days = [...new Set([...Object.keys(byDay), ...Object.keys(totals)])].sort();
+
+  let volume = 0;
+  let earlyBirdDays = 0;
+  let overachieverDays = 0;
+  let bestWeekDays = 0;
+  let run = 0;
+  let lastMet = null;
+  const weeks = {};
+  const beverages = new Set();
+  // volume badges count what was drunk, not how much of it counted toward the goal
+  const snapshot = (streak) => ({
+    streak,
+    litres: Math.floor(volume / 100) / 10,
+    earlyBirdDays,
+    bestWeekDays,
+    beverageVariety: beverages.size,
+    overachieverDays
+  });
+
+  for (const d of days) {
+    const goal = goalFor(d);
+    const total = totals[d] || 0;
+    const dayEntries = (byDay[d] || []).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    let morning = 0;
+    for (const e of dayEntries) {
+      if (loggedTime(e).hour() >= 12) break; // noon where it was drunk, like the day itself
+      morning += entryHydration(e);
+    }
+    if (dayEntries.length && morning >= goal) earlyBirdDays++;
+    dayEntries.forEach(e => { volume += e.amount; beverages.add(e.beverage); });
+
+    if (total >= goal) {
+      const w = dayjs(d).startOf('week').format('YYYY-MM-DD');
+      weeks[w] = (weeks[w] || 0) + 1;
+      bestWeekDays = Math.max(bestWeekDays, weeks[w]);
+      run = lastMet && dayjs(lastMet).add(1, 'day').format('YYYY-MM-DD') === d ? run + 1 : 1;
+      lastMet = d;
+    } else {
+      run = 0;
+    }
+    if (total >= 1.2 * goal) overachieverDays++;
+    if (onDay) onDay(d, snapshot(run));
+  }
+  return snapshot(computeStreak(totals, goalFor));
+}
+
+/**
+ * unlockDates(pending, entries, totals, goalFor)
+ * The day history first reached each of `pending`'s targets, as { [id]: ISO time }, so badges
+ * earned before they were ever evaluated aren't all dated today.
+ */
+function unlockDates(pending, entries, totals, goalFor) {
+  const dates = {};
+  computeAchievementMetrics(entries, totals, goalFor, (day, metrics) => {
+    pending.forEach(a => {
+      if (!dates[a.id] && (metrics[a.metric] || 0) >= a.target) dates[a.id] = timeOnDay(day, 12 * 60).toISOString();
+    });
+  });
+  return dates;
+}
+
+/**
+ * evaluateAchievements(metrics, unlocks)
+ * Every definition with its current value, whether it is complete, and when it was unlocked.
+ */
+function evaluateAchievements(metrics, unlocks) {
+  return ACHIEVEMENTS.map(a => {
+    const value = metrics[a.metric] || 0;
+    return { ...a, value, complete: value >= a.target, unlockedAt: unlocks[a.id] || null };
+  });
+}
+
+// Today only breaks the streak once it is over; until then the streak runs up to yesterday.
+function computeStreak(totals, goalFor) {
+  const today = formatDate();
   let streak = 0;
   for (let i = 0; i < 365; i++) {
-    const d = dayjs().subtract(i, 'day').format('YYYY-MM-DD');
-    const entry = log.find(r => r.date === d);
-    if (entry && entry.intake >= goal) streak++; else break;
+    const d = dayjs(today).subtract(i, 'day').format('YYYY-MM-DD');
+    if ((totals[d] || 0) >= goalFor(d)) streak++;
+    else if (d !== today) break;
   }
   return streak;
 }
-function loadTodayGoalFromStorageSync() { return 2000; }
+
+// -------------------- Achievements Screen --------------------
+function AchievementsScreen() {
+  const { totals, goalFor, achievements, units, theme } = useApp();
+  const streak = computeStreak(totals, goalFor);
+  const earned = achievements.filter(a => a.unlockedAt);
+  const locked = achievements.filter(a => !a.unlockedAt);
+
+  return (
+    <ScrollView contentContainerStyle={[styles.screen, { backgroundColor: theme.background }]}>
+      <StatusBar barStyle={theme.statusBarStyle} />
+      <TopBar title={t('tabs.Achievements')} />
+      <Text style={[styles.title, { color: theme.text }]}>{t('achievements.streak', { count: streak })}</Text>
+      {earned.length === 0 ? <Text style={[styles.help, { color: theme.subtext }]}>{t('achievements.none')}</Text> : null}
+      {earned.map(a => (
+        <View key={a.id} style={[styles.achRow, { backgroundColor: theme.card, borderColor: theme.border }]} accessible
+          accessibilityLabel={`${achievementTitle(a)}. ${describeAchievement(a, units)}. ${t('a11y.unlocked', { date: formatDay(a.unlockedAt, 'dayYear') })}`}>
+          <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+            <Ionicons name={a.icon} size={22} color={theme.primary} />
+            <Text style={{ fontWeight: '600', color: theme.text, marginLeft: 8, flex: 1 }}>🏅 {achievementTitle(a)}</Text>
+            <Text style={{ color: theme.subtext }}>{formatDay(a.unlockedAt, 'dayYear')}</Text>
+          </View>
+          <Text style={{ color: theme.subtext, marginTop: 4 }}>{describeAchievement(a, units)}</Text>
+        </View>
+      ))}
+
+      {locked.length ? <Text accessibilityRole="header" style={[styles.sectionTitle, { color: theme.primary, marginTop: 16 }]}>{t('achievements.locked')}</Text> : null}
+      {locked.map(a => (
+        <View key={a.id} style={[styles.achRow, { backgroundColor: theme.surface, borderColor: theme.border, opacity: 0.8 }]} accessible
+          accessibilityRole="progressbar" accessibilityLabel={`${achievementTitle(a)}. ${describeAchievement(a, units)}`}
+          accessibilityValue={{ min: 0, max: 100, now: Math.round(Math.min(a.value / a.target, 1) * 100), text: achievementProgress(a, units) }}>
+          <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+            <Ionicons name={a.icon} size={22} color={theme.subtext} />
+            <Text style={{ fontWeight: '600', color: theme.text, marginLeft: 8, flex: 1 }}>{achievementTitle(a)}</Text>
+            <Text style={{ color: theme.subtext }}>{achievementProgress(a, units)}</Text>
+          </View>
+          <Text style={{ color: theme.subtext, marginVertical: 4 }}>{describeAchievement(a, units)}</Text>
+          <Progress.Bar progress={Math.min(a.value / a.target, 1)} width={null} color={theme.primary} unfilledColor={theme.border} borderWidth={0} />
+        </View>
+      ))}
+    </ScrollView>
+  );
+}
+
+function AchievementCelebration() {
+  const { celebration, setCelebration, units, theme } = useApp();
+  if (!celebration) return null;
+  return (
+    <Modal visible transparent animationType="fade" onRequestClose={() => setCelebration(null)}>
+      <View style={styles.modalBackdrop}>
+        <View style={[styles.welcomeCard, { backgroundColor: theme.surface, width: '85%' }]}>
+          <Ionicons name={celebration.icon} size={56} color={theme.primary} />
+          <Text accessibilityRole="header" style={[styles.title, { color: theme.text }]}>🏅 {achievementTitle(celebration)}</Text>
+          <Text style={{ color: theme.subtext, textAlign: 'center' }}>{describeAchievement(celebration, units)}</Text>
+          <TouchableOpacity style={styles.primaryBtn} onPress={() => setCelebration(null)} accessibilityRole="button">
+            <LinearGradient colors={theme.gradientPrimary} style={styles.btnGrad}>
+              <Text style={styles.btnText}>{t('achievements.awesome')}</Text>
+            </LinearGradient>
+          </TouchableOpacity>
+        </View>
+        <ConfettiCannon count={150} origin={{ x: Dimensions.get('window').width / 2, y: -20 }} fadeOut />
+      </View>
+    </Modal>
+  );
+}
 
 // -------------------- Navigation --------------------
 const Tab = createBottomTabNavigator();
+const navigationRef = createNavigationContainerRef();
+
+// taps on a notification body open the screen named in its data (reminders → Home),
+// switching to the profile the notification was for
+function openNotificationScreen(response, profileId, switchProfile) {
+  if (!response || response.actionIdentifier !== Notifications.DEFAULT_ACTION_IDENTIFIER) return;
+  const data = response.notification.request.content.data || {};
+  if (data.profileId && data.profileId !== profileId) switchProfile(data.profileId);
+  if (navigationRef.isReady()) navigationRef.navigate(data.screen || 'Home');
+}
 
 export default function App() {
   return (
@@ -615,7 +3563,7 @@ export default function App() {
 }
 
 function MainApp() {
-  const { user, settings, theme } = useApp();
+  const { user, profileId, switchProfile, storageBlocked, theme } = useApp();
   const [ready, setReady] = useState(false);
 
   useEffect(() => {
@@ -626,18 +3574,22 @@ function MainApp() {
     })();
   }, []);
 
-  if (!ready) return null;
+  const lastResponse = Notifications.useLastNotificationResponse();
+  useEffect(() => {
+    if (ready && user) openNotificationScreen(lastResponse, profileId, switchProfile);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [lastResponse, ready, !!user]);
 
-  // Use react-navigation built-in themes for nav chrome, keep consistent with our theme choice
-  const navTheme = settings.darkMode ? DarkTheme : DefaultTheme;
+  if (!ready) return null;
+  if (storageBlocked) return <StorageBlockedScreen />;
 
   return (
-    <NavigationContainer theme={navTheme}>
+    <NavigationContainer ref={navigationRef} theme={navigationTheme(theme)} onReady={() => openNotificationScreen(lastResponse, profileId, switchProfile)}>
       {user ? (
         <Tab.Navigator screenOptions={({ route }) => ({
           headerShown: false,
           tabBarActiveTintColor: theme.primary,
-          tabBarStyle: { paddingVertical: Platform.OS === 'ios' ? 8 : 4, height: 60, backgroundColor: theme.card },
+          tabBarStyle: { paddingVertical: Platform.OS === 'ios' ? 8 : 4, minHeight: 60, backgroundColor: theme.card },
           tabBarIcon: ({ color, size }) => {
             let name = 'water-outline';
             if (route.name === 'Home') name = 'water-outline';
@@ -647,14 +3599,15 @@ function MainApp() {
             return <Ionicons name={name} size={size} color={color} />;
           }
         })}>
-          <Tab.Screen name="Home" component={HomeScreen} />
-          <Tab.Screen name="History" component={HistoryScreen} />
-          <Tab.Screen name="Achievements" component={AchievementsScreen} />
-          <Tab.Screen name="Settings" component={SettingsScreen} />
+          <Tab.Screen name="Home" component={HomeScreen} options={{ tabBarLabel: t('tabs.Home') }} />
+          <Tab.Screen name="History" component={HistoryScreen} options={{ tabBarLabel: t('tabs.History') }} />
+          <Tab.Screen name="Achievements" component={AchievementsScreen} options={{ tabBarLabel: t('tabs.Achievements') }} />
+          <Tab.Screen name="Settings" component={SettingsScreen} options={{ tabBarLabel: t('tabs.Settings') }} />
         </Tab.Navigator>
       ) : (
         <WelcomeScreen navigation={{ replace: () => setReady(true) }} />
       )}
+      <AchievementCelebration />
     </NavigationContainer>
   );
 }
@@ -677,7 +3630,7 @@ const styles = StyleSheet.create({
   topbar: {
     width: '100%',
     paddingVertical: 12,
-    paddingHorizontal: 8,
+    paddingHorizontal: 52, // clear of the profile chip at any text size
     alignItems: 'center',
     marginBottom: 6
   },
@@ -685,6 +3638,17 @@ const styles = StyleSheet.create({
     fontSize: 22,
     fontWeight: '700',
   },
+  profileChip: {
+    position: 'absolute',
+    right: 8,
+    top: 8,
+    minWidth: 36,
+    minHeight: 36,
+    paddingHorizontal: 4,
+    borderRadius: 18,
+    alignItems: 'center',
+    justifyContent: 'center'
+  },
 
   welcomeTitle: {
     fontSize: 32,
@@ -835,6 +3799,7 @@ const styles = StyleSheet.create({
   historyRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
+    flexWrap: 'wrap', // large text sizes push the amount onto its own line
     paddingVertical: 10,
     borderBottomWidth: 0.3,
     width: Dimensions.get('window').width - 32
@@ -851,6 +3816,99 @@ const styles = StyleSheet.create({
     elevation: 2
   },
 
+  // ---- Beverages ----
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginRight: 6
+  },
+  breakdownRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    width: '100%',
+    paddingVertical: 3
+  },
+
+  containerBtn: {
+    alignItems: 'center',
+    minWidth: 90,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    margin: 4,
+    borderRadius: 12,
+    borderWidth: 1
+  },
+
+  heatmapGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    width: '100%',
+    marginTop: 6
+  },
+  heatmapCell: {
+    width: '14.28%',
+    aspectRatio: 1,
+    padding: 2
+  },
+  heatmapDay: {
+    flex: 1,
+    borderRadius: 6,
+    borderWidth: 1,
+    alignItems: 'center',
+    justifyContent: 'center'
+  },
+
+  chipWrap: {
+    flexDirection: 'row',
+    flexWrap: 'wrap'
+  },
+  swatch: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    borderWidth: 3,
+    marginTop: 6,
+    marginRight: 8,
+    alignItems: 'center',
+    justifyContent: 'center'
+  },
+
+  // ---- Entry editing ----
+  swipeContainer: {
+    width: Dimensions.get('window').width - 32,
+    overflow: 'hidden'
+  },
+  swipeBehind: {
+    ...StyleSheet.absoluteFillObject,
+    alignItems: 'flex-end',
+    justifyContent: 'center',
+    paddingRight: 16
+  },
+  modalBackdrop: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0,0,0,0.4)'
+  },
+  snackbar: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 14,
+    borderRadius: 12,
+    shadowColor: '#000',
+    shadowOpacity: 0.2,
+    shadowRadius: 6,
+    elevation: 6
+  },
+
   // ---- Settings Cards ----
   card: {
     borderRadius: 18,
@@ -877,5 +3935,6 @@ const styles = StyleSheet.create({
   },
   settingLabel: {
     fontSize: 16,
+    flexShrink: 1
   },
 });
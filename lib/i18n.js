@@ -0,0 +1,85 @@
+// lib/i18n.js
+// Translation catalogs and locale-aware formatting. Catalogs live in lib/locales, one per
+// language, as nested objects of strings:
+//
+//   t('home.goal', { goal: '2000 ml' })             → 'Daily goal: 2000 ml'
+//   t('achievements.streak', { count: 3 })          → uses the catalog's { one, other } forms
+//
+// Each catalog brings its own plural rule and number/date formats rather than relying on
+// Intl, which isn't complete on every JS engine React Native ships with.
+import dayjs from 'dayjs';
+import 'dayjs/locale/es';
+import en from './locales/en';
+import es from './locales/es';
+
+const CATALOGS = { en, es };
+const FALLBACK = 'en';
+
+// 'system' follows the device language when there's a catalog for it
+export const LANGUAGES = [
+  { id: 'system', label: null },
+  { id: 'en', label: 'English' },
+  { id: 'es', label: 'Español' }
+];
+
+let current = FALLBACK;
+
+/**
+ * resolveLanguage(preference, deviceLanguage)
+ * The catalog to use for a settings value ('system', 'en', ...) on a device set to `deviceLanguage`.
+ */
+export function resolveLanguage(preference, deviceLanguage) {
+  const wanted = !preference || preference === 'system' ? deviceLanguage : preference;
+  const code = String(wanted || '').toLowerCase().split(/[-_]/)[0];
+  return CATALOGS[code] ? code : FALLBACK;
+}
+
+export function setLanguage(lang) { current = CATALOGS[lang] ? lang : FALLBACK; }
+
+export function getLanguage() { return current; }
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+/**
+ * t(key, params)
+ * The current language's string for `key` with `{name}` placeholders filled from params.
+ * Plural entries ({ one, other, ... }) are picked with params.count. Missing keys fall back
+ * to English, then to the key itself so gaps are visible rather than blank.
+ */
+export function t(key, params = {}) {
+  let catalog = CATALOGS[current];
+  let value = lookup(catalog, key);
+  if (value == null) { catalog = CATALOGS[FALLBACK]; value = lookup(catalog, key); }
+  if (value == null) return key;
+  if (typeof value === 'object') value = value[catalog.plural(params.count ?? 0)] ?? value.other;
+  return String(value).replace(/\{(\w+)\}/g, (m, name) => (params[name] == null ? m : String(params[name])));
+}
+
+/**
+ * formatNumber(n, maxDecimals)
+ * `n` rounded to at most `maxDecimals` places with the language's separators, e.g. 1,234.5 / 1.234,5.
+ */
+export function formatNumber(n, maxDecimals = 0) {
+  const { decimal, group } = CATALOGS[current].number;
+  const fixed = Math.abs(Number(n) || 0).toFixed(maxDecimals);
+  const [whole, fraction] = fixed.split('.');
+  const digits = (fraction || '').replace(/0+$/, '');
+  const sign = n < 0 && Number(fixed) !== 0 ? '-' : '';
+  return `${sign}${whole.replace(/\B(?=(\d{3})+(?!\d))/g, group)}${digits ? decimal + digits : ''}`;
+}
+
+/**
+ * formatDay(date, style)
+ * A date in one of the catalog's named formats (day, dayFull, short, month, ...), with month and
+ * weekday names in the current language. Only the formatted copy gets the locale, so week
+ * calculations elsewhere keep dayjs' default Sunday start.
+ */
+export function formatDay(date, style) {
+  const format = CATALOGS[current].dates[style] || CATALOGS[FALLBACK].dates[style];
+  return dayjs(date).locale(current).format(format);
+}
+
+// single-letter weekday headings, Sunday first
+export function weekdayInitials() { return CATALOGS[current].dates.weekdayInitials; }
@@ -0,0 +1,450 @@
+// lib/locales/en.js
+export default {
+  plural: n => (n === 1 ? 'one' : 'other'),
+  number: { decimal: '.', group: ',' },
+  dates: {
+    day: 'ddd DD MMM',
+    dayFull: 'dddd DD MMM',
+    dayYear: 'DD MMM YYYY',
+    short: 'DD MMM',
+    month: 'MMMM YYYY',
+    monthShort: 'MMM',
+    dateTime: 'DD MMM YYYY HH:mm',
+    weekdayInitials: ['S', 'M', 'T', 'W', 'T', 'F', 'S']
+  },
+
+  common: {
+    ok: 'OK',
+    cancel: 'Cancel',
+    save: 'Save',
+    delete: 'Delete',
+    undo: 'Undo',
+    done: 'Done'
+  },
+  languages: { system: 'Device language' },
+  tabs: { Home: 'Home', History: 'History', Achievements: 'Achievements', Settings: 'Settings' },
+
+  storage: {
+    labels: {
+      profile: 'profile',
+      entries: 'drink log',
+      dailyGoals: 'daily goals',
+      achievements: 'achievements',
+      workouts: 'workouts',
+      weather: 'weather adjustments',
+      settings: 'settings'
+    },
+    corrupt: 'Your {label} could not be read and has been set aside.',
+    write: 'Saving your {label} failed ({message}).',
+    read: 'Loading your {label} failed ({message}).',
+    newer: 'Your data was saved by a newer version of HydrateMate. Update the app to use it.',
+    migration: 'Your data could not be upgraded ({message}).',
+    title: '⚠️ Problem with saved data',
+    restoreCopy: 'Restore copy',
+    restoreHint: 'A copy of your data from {date} can be restored.',
+    blocked: 'HydrateMate can\'t open your saved data, so it is leaving it untouched until the problem is fixed.',
+    retry: 'Try again'
+  },
+
+  units: {
+    metric: 'Metric (ml, kg)',
+    imperial: 'US (fl oz, lb)'
+  },
+
+  beverages: {
+    water: 'Water',
+    tea: 'Tea',
+    coffee: 'Coffee',
+    milk: 'Milk',
+    juice: 'Juice',
+    sports: 'Sports drink',
+    soda: 'Soda',
+    other: 'Other'
+  },
+  containers: {
+    glass: 'Glass',
+    mug: 'Mug',
+    bottle: 'Bottle',
+    title: '🥛 Quick-Add Containers',
+    empty: 'Add the glasses, mugs and bottles you use for one-tap logging.',
+    namePlaceholder: 'Name (e.g. My bottle)',
+    sizePlaceholder: 'Size ({unit})',
+    selectedDrink: 'Selected drink',
+    add: '＋ Add Container',
+    nameMissing: 'Give the container a name',
+    invalidSize: 'Enter a size in {unit} (up to {max})'
+  },
+
+  goal: {
+    sex: { female: 'Female', male: 'Male', unspecified: 'Not specified' },
+    activity: { sedentary: 'Sedentary', light: 'Lightly active', active: 'Active', very_active: 'Very active' },
+    climate: { cool: 'Cool', temperate: 'Temperate', warm: 'Warm', hot: 'Hot / humid' },
+    steps: {
+      bodyWeight: 'Body weight',
+      bodyWeightSex: 'Body weight ({sex})',
+      age: 'Age {age} ({percent})',
+      climate: '{climate} climate ({percent})',
+      pregnancy: 'Pregnancy',
+      breastfeeding: 'Breastfeeding'
+    },
+    form: {
+      sex: 'Sex',
+      activity: 'Activity',
+      climate: 'Climate',
+      pregnant: 'Pregnant',
+      breastfeeding: 'Breastfeeding'
+    },
+    needsWeightAndAge: 'Enter weight and age to calculate a goal.',
+    dailyGoal: 'Daily goal',
+    calculator: {
+      title: '🧮 Goal Calculator',
+      help: 'Uses the weight and age saved in your profile.',
+      use: 'Use {amount} as my goal',
+      updatedTitle: '✅ Goal updated',
+      updatedBody: 'Your daily goal is now {amount}.'
+    }
+  },
+
+  workouts: {
+    types: { run: 'Running', cycle: 'Cycling', gym: 'Gym', swim: 'Swimming', sport: 'Team sport', yoga: 'Yoga', other: 'Other' },
+    intensities: { light: 'Light', moderate: 'Moderate', hard: 'Hard' },
+    title: '🏋️ Workouts',
+    logTitle: 'Log a workout',
+    durationPlaceholder: 'Duration (minutes)',
+    invalidDuration: 'Enter the duration in minutes (1–600)',
+    adds: 'Adds {amount} to this day\'s goal',
+    summary: '{type} · {minutes} min',
+    log: '＋ Log Workout'
+  },
+
+  weather: {
+    providers: { off: 'Off', manual: 'I\'ll mark hot days', file: 'Readings file', mock: 'Demo heatwave' },
+    markedHot: 'Marked hot',
+    hot: 'Hot ({temp})',
+    markedHumid: 'Marked humid',
+    humid: 'Humid ({humidity}%)',
+    today: '🌡️ Weather today',
+    hotChip: '☀️ Hot',
+    humidChip: '💦 Humid',
+    bonus: '{reasons} → +{amount} today',
+    noAdjustment: 'No adjustment needed today.',
+    tapIfHot: 'Tap if today is hot or humid.',
+    noReading: 'No weather reading for today.',
+    settingsTitle: '🌡️ Weather Adjustment',
+    settingsHelp: 'Hot and humid days raise that day\'s goal.',
+    fileHelp: 'Reads {format} from weather.json in the app\'s documents folder.'
+  },
+
+  backup: {
+    errors: {
+      notJson: 'The file is not valid JSON.',
+      notBackup: 'This is not a HydrateMate backup.',
+      newer: 'This backup was made by a newer version of the app.',
+      noName: 'The profile is missing a name.',
+      badProfile: 'The profile\'s goal, weight or age is out of range.',
+      noEntries: 'The backup has no drink log.',
+      badEntries: { one: '{count} drink entry is malformed.', other: '{count} drink entries are malformed.' },
+      badSettings: 'The settings are malformed.',
+      badGoals: 'The daily goals are malformed.',
+      badWorkouts: 'The workouts are malformed.',
+      badWeather: 'The weather adjustments are malformed.'
+    },
+    title: '📦 Backup & Export',
+    exportJson: '⬆️ Export Backup (JSON)',
+    import: '⬇️ Import Backup',
+    exportCsv: '📊 Export History (CSV)',
+    exportFailed: 'Export failed',
+    importFailed: 'Import failed',
+    unreadable: 'Could not read that file.',
+    invalid: 'Invalid backup',
+    importTitle: 'Import backup',
+    importBody: {
+      one: 'The backup has {count} drink entry. Merge it with this device\'s data or replace everything?',
+      other: 'The backup has {count} drink entries. Merge it with this device\'s data or replace everything?'
+    },
+    merge: 'Merge',
+    replace: 'Replace',
+    merged: '✅ Backup merged',
+    restored: '✅ Backup restored'
+  },
+
+  notifications: {
+    title: 'HydrateMate ⛲ · {name}',
+    body: '{name}: {message}',
+    defaultBody: 'Time to drink water — tap to log quickly!',
+    behindBody: 'You\'re {amount} behind pace — time for a drink!',
+    logAction: '+{amount}',
+    snoozeAction: 'Snooze {minutes} min',
+    achievementTitle: '🏅 {name} unlocked an achievement',
+    achievementBody: '{title} — {description}',
+    testTitle: '💧 Hydration Reminder',
+    testBody: 'Time to take a sip! Stay hydrated 🌊',
+    testSent: '🔔 Test reminder sent!'
+  },
+
+  profiles: {
+    title: 'Profiles',
+    add: '＋ Add Profile'
+  },
+
+  entries: {
+    editTitle: 'Edit drink',
+    addPastTitle: 'Add a past drink',
+    amountPlaceholder: 'Amount ({unit})',
+    timePlaceholder: 'Time',
+    invalidAmount: 'Enter a positive amount in {unit}',
+    future: 'You can\'t log a drink in the future',
+    none: 'No drinks logged.',
+    addPast: '＋ Add a past drink'
+  },
+
+  welcome: {
+    title: 'Welcome to HydrateMate',
+    subtitle: 'Personalize your hydration plan',
+    name: 'Name',
+    weight: 'Weight ({unit})',
+    age: 'Age',
+    wakeTime: 'Wake-up',
+    bedTime: 'Bedtime',
+    start: 'Get Started',
+    cancelBack: 'Cancel — back to {name}'
+  },
+
+  home: {
+    hello: 'Hello, {name}',
+    friend: 'Friend',
+    dailyGoal: 'Daily goal:',
+    goalBase: '{amount} base',
+    goalWorkouts: ' + {amount} workouts',
+    goalWeather: ' + {amount} weather',
+    today: 'Today:',
+    todayDetail: 'hydration · {volume} drunk',
+    countsToward: '{drink} counts {percent}% toward your goal',
+    addPlaceholder: 'Add {unit} (e.g. {amount})',
+    add: 'Add',
+    repeatLast: '↻ Repeat last: {amount} {drink}',
+    remaining: 'Remaining: {amount}',
+    timeLeft: 'Time left: {time}',
+    hoursLeft: { one: '{count} hr', other: '{count} hrs' },
+    fewHours: 'few hours',
+    added: 'Added {amount} {drink}',
+    tips: { keepSipping: 'Keep sipping!', greatJob: 'Great job!', boost: 'Hydration boost!', nice: 'Nice!' },
+    goalReachedTitle: '🎉 Goal reached',
+    goalReachedBody: 'You reached your daily water goal!'
+  },
+
+  pace: {
+    title: '⏱️ Pace',
+    onPace: 'Right on pace',
+    ahead: 'Ahead by {amount}',
+    behind: 'Behind by {amount}',
+    reached: 'Goal reached — anything more is a bonus.',
+    short: '{amount} short of today\'s goal.',
+    perHour: 'Drink about {amount} per hour until {time} to reach your goal.'
+  },
+
+  history: {
+    title: 'History',
+    ranges: { '7d': '7 days', '30d': '30 days', '12m': '12 months', custom: 'Custom' },
+    last: 'Last {range}',
+    from: 'From (YYYY-MM-DD)',
+    to: 'To (YYYY-MM-DD)',
+    show: 'Show',
+    invalidDates: 'Enter dates as YYYY-MM-DD',
+    startAfterEnd: 'The start date must be before the end date',
+    tooLong: 'Pick a range of at most 3 years',
+    dailyAverage: 'Daily average',
+    intake: 'Intake',
+    goal: 'Goal',
+    empty: 'Nothing logged in this range yet.',
+    median: 'Median day',
+    best: 'Best day',
+    goalReached: 'Goal reached',
+    hitRate: '{percent}% of days',
+    longestStreak: 'Longest streak',
+    days: { one: '{count} day', other: '{count} days' },
+    drunk: '({amount} drunk)',
+    deleted: 'Deleted {amount}',
+    travelTitle: '🌍 Travel days',
+    travelHelp: 'Days logged away from your current timezone, or in more than one. Drinks count toward the day it was where you had them.',
+    travelNone: 'Every day in this range was logged in your current timezone.'
+  },
+
+  settings: {
+    yourName: 'Your Name',
+    profileInfo: '👤 Profile Information',
+    name: 'Name',
+    age: 'Age',
+    weight: 'Weight ({unit})',
+    dailyGoal: 'Daily Goal ({unit})',
+    saveChanges: '💾 Save Changes',
+    profileUpdated: '✅ Profile updated successfully!',
+    preferences: '🌙 Preferences',
+    highContrast: 'High Contrast',
+    units: 'Units',
+    language: 'Language',
+    reminders: 'Reminders',
+    testReminder: '🔔 Test Reminder',
+    myDrinks: '🥤 My Drinks',
+    myDrinksHelp: 'Add drinks that aren\'t in the list, with how much of them counts as water.',
+    drinkName: 'Drink name',
+    countsAsWater: 'Counts as water (%)',
+    addDrink: '＋ Add Drink',
+    drinkNameMissing: 'Give the drink a name',
+    invalidHydration: 'Hydration must be between 0 and 150%',
+    actions: '🧩 Actions',
+    resetToday: '🔄 Reset Today',
+    deleteThisProfile: '👤 Delete This Profile',
+    clearAllData: '🗑️ Clear All Data',
+    clearAllTitle: '🧹 Clear All Data',
+    clearAllBody: 'Are you sure you want to delete all saved data for every profile? Export a backup first if you might want it back.',
+    clear: 'Clear',
+    cleared: '✅ All data cleared',
+    deleteProfileTitle: 'Delete profile',
+    deleteProfileBody: 'Delete {name} with its log, settings and reminders?',
+    thisProfile: 'this profile',
+    footer: '💧 HydrateMate | Stay Fresh, Stay Hydrated'
+  },
+
+  reminders: {
+    days: { all: 'Every day', weekdays: 'Weekdays', weekends: 'Weekends' },
+    minutes: '{count} min',
+    hours: '{count} h',
+    title: '⏰ Reminder Schedule',
+    wakeTime: 'Wake-up',
+    bedTime: 'Bedtime',
+    every: 'Remind me every',
+    differentWeekend: 'Different weekend schedule',
+    quietHours: 'Quiet hours',
+    quietEmpty: 'No reminders are sent during quiet hours (meetings, commute…).',
+    quietDefault: 'Quiet',
+    labelPlaceholder: 'Label (e.g. Commute)',
+    from: 'From',
+    to: 'To',
+    addQuiet: '＋ Add Quiet Hours',
+    sameQuiet: 'Quiet hours need different start and end times',
+    save: '💾 Save Schedule',
+    saved: '✅ Reminder schedule saved',
+    preview: 'Preview',
+    repeatHelp: 'Times marked ↻ repeat every day until the app is opened again.',
+    off: 'Reminders are turned off.'
+  },
+
+  achievements: {
+    items: {
+      streak_3: { title: '3-day Streak', description: 'Hit your goal 3 days in a row' },
+      streak_7: { title: '7-day Streak', description: 'Hit your goal 7 days in a row' },
+      streak_30: { title: '30-day Streak', description: 'Hit your goal 30 days in a row' },
+      volume_10: { title: 'First 10 Litres', description: 'Drink {volume} in total' },
+      volume_100: { title: 'Century', description: 'Drink {volume} in total' },
+      volume_1000: { title: 'Reservoir', description: 'Drink {volume} in total' },
+      early_bird: { title: 'Early Bird', description: 'Reach your goal before noon' },
+      early_bird_10: { title: 'Dawn Patrol', description: 'Reach your goal before noon on 10 days' },
+      perfect_week: { title: 'Perfect Week', description: 'Hit your goal every day of a calendar week' },
+      variety: { title: 'Mixologist', description: 'Log 5 different drinks' },
+      overachiever: { title: 'Overachiever', description: 'Drink 120% of your goal in a day' }
+    },
+    progress: {
+      days: { one: '{value}/{count} day', other: '{value}/{count} days' },
+      drinks: { one: '{value}/{count} drink', other: '{value}/{count} drinks' }
+    },
+    streak: { one: '🔥 Current streak: {count} day', other: '🔥 Current streak: {count} days' },
+    none: 'No achievements yet — keep going!',
+    locked: 'Locked',
+    awesome: 'Awesome!'
+  },
+
+  theme: {
+    appearance: 'Appearance',
+    accent: 'Accent colour',
+    modes: { system: 'System', light: 'Light', dark: 'Dark' },
+    accents: { ocean: 'Ocean', lagoon: 'Lagoon', forest: 'Forest', orchid: 'Orchid', sunset: 'Sunset', custom: 'Custom colour' },
+    customPlaceholder: 'Custom colour (#RRGGBB)',
+    invalidColor: 'Enter a colour as #RRGGBB, for example #d6336c',
+    apply: 'Apply',
+    highContrastNote: 'High contrast uses its own colours while it is on.'
+  },
+
+  time: {
+    wakeTime: 'Wake-up',
+    bedTime: 'Bedtime',
+    notSet: 'not set',
+    pickHint: 'Opens a time picker',
+    errors: {
+      empty: '{label}: enter a time',
+      format: '{label}: enter the time as HH:MM, for example 07:30',
+      hour: '{label}: the hour must be 0–23, or 1–12 with am/pm',
+      minute: '{label}: the minutes must be 00–59',
+      same: 'Wake-up and bedtime can\'t be the same time',
+      shortDay: { one: 'Leave at least {count} hour between wake-up and bedtime', other: 'Leave at least {count} hours between wake-up and bedtime' },
+      shortNight: { one: 'Leave at least {count} hour between bedtime and wake-up', other: 'Leave at least {count} hours between bedtime and wake-up' }
+    }
+  },
+
+  dayStart: {
+    title: 'Day starts at',
+    wake: 'Wake-up ({time})',
+    fixed: 'Fixed hour',
+    earlier: 'An hour earlier',
+    later: 'An hour later',
+    help: 'Drinks before {time} count toward the day before. Streaks, History and Reset Today follow this too.'
+  },
+
+  sync: {
+    title: '☁️ Sync',
+    help: 'Keeps profiles, settings and logs the same on every device through a server you run. Changes made offline are sent once it can be reached again.',
+    url: 'Server URL',
+    token: 'Access token (optional)',
+    enabled: 'Sync this device',
+    syncNow: '🔄 Sync Now',
+    getProfiles: 'Get Profiles from the Server',
+    invalidUrl: 'Enter the server address, starting with http:// or https://',
+    off: 'Sync is off.',
+    running: 'Syncing…',
+    notYet: 'Not synced yet.',
+    synced: 'Synced at {time}.',
+    offline: {
+      one: 'Couldn\'t reach the server ({message}). {count} change is waiting.',
+      other: 'Couldn\'t reach the server ({message}). {count} changes are waiting.'
+    },
+    failed: 'Couldn\'t reach the server: {message}',
+    profilesAdded: { one: 'Added {count} profile from the server.', other: 'Added {count} profiles from the server.' },
+    noNewProfiles: 'The server has no profiles this device doesn\'t already have.',
+    restoreLink: 'Already use HydrateMate on another device? Sync it here'
+  },
+
+  validation: {
+    title: 'Please check',
+    name: 'Enter a name',
+    weight: 'Weight must be a number from {min} to {max}',
+    age: 'Age must be a whole number from {min} to {max}'
+  },
+
+  a11y: {
+    close: 'Close',
+    profileButton: 'Profile: {name}',
+    profileHint: 'Switch to another profile or add one',
+    drinkEntry: '{time}, {drink}, {amount}',
+    drinkEntryHint: 'Edits this drink. Swipe left or use the actions menu to delete it.',
+    remove: 'Remove {name}',
+    moveUp: 'Move {name} up',
+    moveDown: 'Move {name} down',
+    iconOption: 'Icon {index} of {count}',
+    previousMonth: 'Previous month',
+    nextMonth: 'Next month',
+    heatmapDay: '{date}, {percent}% of goal',
+    openDayHint: 'Shows the drinks logged that day',
+    goalMet: 'goal reached',
+    workoutLogged: 'workout logged',
+    progress: 'Today\'s progress',
+    progressValue: '{intake} of {goal}',
+    quickAddHint: 'Logs this drink right away',
+    addHint: 'Logs the amount typed above',
+    paceChart: 'Pace chart, {start} to {end}. {intake} so far, {ideal} expected by now.',
+    historyChart: 'Chart of {series} against your goal: {points}',
+    chartPoint: '{label}: {intake}, goal {goal}',
+    unlocked: 'Unlocked {date}',
+    resetTodayHint: 'Removes every drink logged today',
+    clearHint: 'Asks before deleting anything'
+  }
+};
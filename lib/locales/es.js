@@ -0,0 +1,450 @@
+// lib/locales/es.js
+export default {
+  plural: n => (n === 1 ? 'one' : 'other'),
+  number: { decimal: ',', group: '.' },
+  dates: {
+    day: 'ddd D MMM',
+    dayFull: 'dddd D [de] MMMM',
+    dayYear: 'D MMM YYYY',
+    short: 'D MMM',
+    month: 'MMMM [de] YYYY',
+    monthShort: 'MMM',
+    dateTime: 'D MMM YYYY HH:mm',
+    weekdayInitials: ['D', 'L', 'M', 'X', 'J', 'V', 'S']
+  },
+
+  common: {
+    ok: 'Aceptar',
+    cancel: 'Cancelar',
+    save: 'Guardar',
+    delete: 'Eliminar',
+    undo: 'Deshacer',
+    done: 'Listo'
+  },
+  languages: { system: 'Idioma del dispositivo' },
+  tabs: { Home: 'Inicio', History: 'Historial', Achievements: 'Logros', Settings: 'Ajustes' },
+
+  storage: {
+    labels: {
+      profile: 'perfil',
+      entries: 'registro de bebidas',
+      dailyGoals: 'metas diarias',
+      achievements: 'logros',
+      workouts: 'entrenamientos',
+      weather: 'ajustes por clima',
+      settings: 'ajustes'
+    },
+    corrupt: 'No se pudo leer tu {label} y se ha apartado.',
+    write: 'No se pudo guardar tu {label} ({message}).',
+    read: 'No se pudo cargar tu {label} ({message}).',
+    newer: 'Tus datos se guardaron con una versión más reciente de HydrateMate. Actualiza la app para usarlos.',
+    migration: 'No se pudieron actualizar tus datos ({message}).',
+    title: '⚠️ Problema con los datos guardados',
+    restoreCopy: 'Restaurar copia',
+    restoreHint: 'Se puede restaurar una copia de tus datos del {date}.',
+    blocked: 'HydrateMate no puede abrir tus datos guardados, así que no los tocará hasta que se resuelva el problema.',
+    retry: 'Reintentar'
+  },
+
+  units: {
+    metric: 'Métrico (ml, kg)',
+    imperial: 'EE. UU. (fl oz, lb)'
+  },
+
+  beverages: {
+    water: 'Agua',
+    tea: 'Té',
+    coffee: 'Café',
+    milk: 'Leche',
+    juice: 'Zumo',
+    sports: 'Bebida isotónica',
+    soda: 'Refresco',
+    other: 'Otra'
+  },
+  containers: {
+    glass: 'Vaso',
+    mug: 'Taza',
+    bottle: 'Botella',
+    title: '🥛 Recipientes rápidos',
+    empty: 'Añade los vasos, tazas y botellas que usas para registrar con un toque.',
+    namePlaceholder: 'Nombre (p. ej. Mi botella)',
+    sizePlaceholder: 'Tamaño ({unit})',
+    selectedDrink: 'Bebida elegida',
+    add: '＋ Añadir recipiente',
+    nameMissing: 'Ponle un nombre al recipiente',
+    invalidSize: 'Introduce un tamaño en {unit} (hasta {max})'
+  },
+
+  goal: {
+    sex: { female: 'Mujer', male: 'Hombre', unspecified: 'Sin especificar' },
+    activity: { sedentary: 'Sedentario', light: 'Poco activo', active: 'Activo', very_active: 'Muy activo' },
+    climate: { cool: 'Fresco', temperate: 'Templado', warm: 'Cálido', hot: 'Caluroso / húmedo' },
+    steps: {
+      bodyWeight: 'Peso corporal',
+      bodyWeightSex: 'Peso corporal ({sex})',
+      age: 'Edad {age} ({percent})',
+      climate: 'Clima: {climate} ({percent})',
+      pregnancy: 'Embarazo',
+      breastfeeding: 'Lactancia'
+    },
+    form: {
+      sex: 'Sexo',
+      activity: 'Actividad',
+      climate: 'Clima',
+      pregnant: 'Embarazada',
+      breastfeeding: 'Lactancia'
+    },
+    needsWeightAndAge: 'Introduce peso y edad para calcular una meta.',
+    dailyGoal: 'Meta diaria',
+    calculator: {
+      title: '🧮 Calculadora de meta',
+      help: 'Usa el peso y la edad guardados en tu perfil.',
+      use: 'Usar {amount} como mi meta',
+      updatedTitle: '✅ Meta actualizada',
+      updatedBody: 'Tu meta diaria ahora es {amount}.'
+    }
+  },
+
+  workouts: {
+    types: { run: 'Correr', cycle: 'Ciclismo', gym: 'Gimnasio', swim: 'Natación', sport: 'Deporte de equipo', yoga: 'Yoga', other: 'Otro' },
+    intensities: { light: 'Suave', moderate: 'Moderada', hard: 'Intensa' },
+    title: '🏋️ Entrenamientos',
+    logTitle: 'Registrar un entrenamiento',
+    durationPlaceholder: 'Duración (minutos)',
+    invalidDuration: 'Introduce la duración en minutos (1–600)',
+    adds: 'Añade {amount} a la meta de este día',
+    summary: '{type} · {minutes} min',
+    log: '＋ Registrar entrenamiento'
+  },
+
+  weather: {
+    providers: { off: 'Desactivado', manual: 'Marcaré los días de calor', file: 'Archivo de lecturas', mock: 'Ola de calor de prueba' },
+    markedHot: 'Marcado caluroso',
+    hot: 'Calor ({temp})',
+    markedHumid: 'Marcado húmedo',
+    humid: 'Humedad ({humidity}%)',
+    today: '🌡️ El tiempo hoy',
+    hotChip: '☀️ Calor',
+    humidChip: '💦 Humedad',
+    bonus: '{reasons} → +{amount} hoy',
+    noAdjustment: 'Hoy no hace falta ajuste.',
+    tapIfHot: 'Toca si hoy hace calor o humedad.',
+    noReading: 'No hay lectura del tiempo para hoy.',
+    settingsTitle: '🌡️ Ajuste por clima',
+    settingsHelp: 'Los días calurosos y húmedos suben la meta de ese día.',
+    fileHelp: 'Lee {format} de weather.json en la carpeta de documentos de la app.'
+  },
+
+  backup: {
+    errors: {
+      notJson: 'El archivo no es un JSON válido.',
+      notBackup: 'No es una copia de seguridad de HydrateMate.',
+      newer: 'Esta copia se hizo con una versión más reciente de la app.',
+      noName: 'Al perfil le falta el nombre.',
+      badProfile: 'La meta, el peso o la edad del perfil están fuera de rango.',
+      noEntries: 'La copia no tiene registro de bebidas.',
+      badEntries: { one: '{count} registro de bebida no es válido.', other: '{count} registros de bebida no son válidos.' },
+      badSettings: 'Los ajustes no son válidos.',
+      badGoals: 'Las metas diarias no son válidas.',
+      badWorkouts: 'Los entrenamientos no son válidos.',
+      badWeather: 'Los ajustes por clima no son válidos.'
+    },
+    title: '📦 Copia de seguridad y exportación',
+    exportJson: '⬆️ Exportar copia (JSON)',
+    import: '⬇️ Importar copia',
+    exportCsv: '📊 Exportar historial (CSV)',
+    exportFailed: 'Error al exportar',
+    importFailed: 'Error al importar',
+    unreadable: 'No se pudo leer ese archivo.',
+    invalid: 'Copia no válida',
+    importTitle: 'Importar copia',
+    importBody: {
+      one: 'La copia tiene {count} registro de bebida. ¿Combinarla con los datos de este dispositivo o reemplazarlo todo?',
+      other: 'La copia tiene {count} registros de bebida. ¿Combinarla con los datos de este dispositivo o reemplazarlo todo?'
+    },
+    merge: 'Combinar',
+    replace: 'Reemplazar',
+    merged: '✅ Copia combinada',
+    restored: '✅ Copia restaurada'
+  },
+
+  notifications: {
+    title: 'HydrateMate ⛲ · {name}',
+    body: '{name}: {message}',
+    defaultBody: 'Es hora de beber agua: ¡toca para registrarlo rápido!',
+    behindBody: 'Vas {amount} por detrás del ritmo: ¡hora de beber!',
+    logAction: '+{amount}',
+    snoozeAction: 'Posponer {minutes} min',
+    achievementTitle: '🏅 {name} ha desbloqueado un logro',
+    achievementBody: '{title}: {description}',
+    testTitle: '💧 Recordatorio de hidratación',
+    testBody: '¡Es hora de un sorbo! Mantente hidratado 🌊',
+    testSent: '🔔 ¡Recordatorio de prueba enviado!'
+  },
+
+  profiles: {
+    title: 'Perfiles',
+    add: '＋ Añadir perfil'
+  },
+
+  entries: {
+    editTitle: 'Editar bebida',
+    addPastTitle: 'Añadir una bebida anterior',
+    amountPlaceholder: 'Cantidad ({unit})',
+    timePlaceholder: 'Hora',
+    invalidAmount: 'Introduce una cantidad positiva en {unit}',
+    future: 'No puedes registrar una bebida en el futuro',
+    none: 'No hay bebidas registradas.',
+    addPast: '＋ Añadir una bebida anterior'
+  },
+
+  welcome: {
+    title: 'Bienvenido a HydrateMate',
+    subtitle: 'Personaliza tu plan de hidratación',
+    name: 'Nombre',
+    weight: 'Peso ({unit})',
+    age: 'Edad',
+    wakeTime: 'Despertar',
+    bedTime: 'Acostarse',
+    start: 'Empezar',
+    cancelBack: 'Cancelar y volver a {name}'
+  },
+
+  home: {
+    hello: 'Hola, {name}',
+    friend: 'amigo',
+    dailyGoal: 'Meta diaria:',
+    goalBase: '{amount} base',
+    goalWorkouts: ' + {amount} entrenamientos',
+    goalWeather: ' + {amount} clima',
+    today: 'Hoy:',
+    todayDetail: 'de hidratación · {volume} bebidos',
+    countsToward: '{drink} cuenta un {percent}% para tu meta',
+    addPlaceholder: 'Añadir {unit} (p. ej. {amount})',
+    add: 'Añadir',
+    repeatLast: '↻ Repetir la última: {amount} {drink}',
+    remaining: 'Falta: {amount}',
+    timeLeft: 'Tiempo restante: {time}',
+    hoursLeft: { one: '{count} h', other: '{count} h' },
+    fewHours: 'pocas horas',
+    added: 'Añadido {amount} {drink}',
+    tips: { keepSipping: '¡Sigue bebiendo!', greatJob: '¡Buen trabajo!', boost: '¡Chute de hidratación!', nice: '¡Genial!' },
+    goalReachedTitle: '🎉 Meta alcanzada',
+    goalReachedBody: '¡Has alcanzado tu meta diaria de agua!'
+  },
+
+  pace: {
+    title: '⏱️ Ritmo',
+    onPace: 'Justo a tu ritmo',
+    ahead: '{amount} por delante',
+    behind: '{amount} por detrás',
+    reached: 'Meta alcanzada: lo que bebas ahora es extra.',
+    short: 'Faltaron {amount} para la meta de hoy.',
+    perHour: 'Bebe unos {amount} por hora hasta las {time} para llegar a tu meta.'
+  },
+
+  history: {
+    title: 'Historial',
+    ranges: { '7d': '7 días', '30d': '30 días', '12m': '12 meses', custom: 'Personalizado' },
+    last: 'Últimos {range}',
+    from: 'Desde (AAAA-MM-DD)',
+    to: 'Hasta (AAAA-MM-DD)',
+    show: 'Mostrar',
+    invalidDates: 'Introduce las fechas como AAAA-MM-DD',
+    startAfterEnd: 'La fecha de inicio debe ser anterior a la de fin',
+    tooLong: 'Elige un intervalo de 3 años como máximo',
+    dailyAverage: 'Media diaria',
+    intake: 'Consumo',
+    goal: 'Meta',
+    empty: 'Aún no hay nada registrado en este intervalo.',
+    median: 'Día mediano',
+    best: 'Mejor día',
+    goalReached: 'Meta alcanzada',
+    hitRate: '{percent}% de los días',
+    longestStreak: 'Racha más larga',
+    days: { one: '{count} día', other: '{count} días' },
+    drunk: '({amount} bebidos)',
+    deleted: 'Eliminado {amount}',
+    travelTitle: '🌍 Días de viaje',
+    travelHelp: 'Días registrados fuera de tu zona horaria actual o en más de una. Cada bebida cuenta para el día que era donde la tomaste.',
+    travelNone: 'Todos los días de este periodo se registraron en tu zona horaria actual.'
+  },
+
+  settings: {
+    yourName: 'Tu nombre',
+    profileInfo: '👤 Datos del perfil',
+    name: 'Nombre',
+    age: 'Edad',
+    weight: 'Peso ({unit})',
+    dailyGoal: 'Meta diaria ({unit})',
+    saveChanges: '💾 Guardar cambios',
+    profileUpdated: '✅ ¡Perfil actualizado!',
+    preferences: '🌙 Preferencias',
+    highContrast: 'Alto contraste',
+    units: 'Unidades',
+    language: 'Idioma',
+    reminders: 'Recordatorios',
+    testReminder: '🔔 Recordatorio de prueba',
+    myDrinks: '🥤 Mis bebidas',
+    myDrinksHelp: 'Añade bebidas que no están en la lista, con cuánto de ellas cuenta como agua.',
+    drinkName: 'Nombre de la bebida',
+    countsAsWater: 'Cuenta como agua (%)',
+    addDrink: '＋ Añadir bebida',
+    drinkNameMissing: 'Ponle un nombre a la bebida',
+    invalidHydration: 'La hidratación debe estar entre 0 y 150%',
+    actions: '🧩 Acciones',
+    resetToday: '🔄 Reiniciar hoy',
+    deleteThisProfile: '👤 Eliminar este perfil',
+    clearAllData: '🗑️ Borrar todos los datos',
+    clearAllTitle: '🧹 Borrar todos los datos',
+    clearAllBody: '¿Seguro que quieres borrar todos los datos guardados de todos los perfiles? Exporta antes una copia si quizá los quieras recuperar.',
+    clear: 'Borrar',
+    cleared: '✅ Todos los datos borrados',
+    deleteProfileTitle: 'Eliminar perfil',
+    deleteProfileBody: '¿Eliminar a {name} con su registro, ajustes y recordatorios?',
+    thisProfile: 'este perfil',
+    footer: '💧 HydrateMate | Fresco e hidratado'
+  },
+
+  reminders: {
+    days: { all: 'Todos los días', weekdays: 'Entre semana', weekends: 'Fines de semana' },
+    minutes: '{count} min',
+    hours: '{count} h',
+    title: '⏰ Horario de recordatorios',
+    wakeTime: 'Despertar',
+    bedTime: 'Acostarse',
+    every: 'Recordarme cada',
+    differentWeekend: 'Horario distinto el fin de semana',
+    quietHours: 'Horas de silencio',
+    quietEmpty: 'No se envían recordatorios en horas de silencio (reuniones, trayectos…).',
+    quietDefault: 'Silencio',
+    labelPlaceholder: 'Etiqueta (p. ej. Trayecto)',
+    from: 'Desde',
+    to: 'Hasta',
+    addQuiet: '＋ Añadir horas de silencio',
+    sameQuiet: 'Las horas de silencio necesitan un inicio y un final distintos',
+    save: '💾 Guardar horario',
+    saved: '✅ Horario de recordatorios guardado',
+    preview: 'Vista previa',
+    repeatHelp: 'Las horas marcadas con ↻ se repiten cada día hasta que vuelvas a abrir la app.',
+    off: 'Los recordatorios están desactivados.'
+  },
+
+  achievements: {
+    items: {
+      streak_3: { title: 'Racha de 3 días', description: 'Cumple tu meta 3 días seguidos' },
+      streak_7: { title: 'Racha de 7 días', description: 'Cumple tu meta 7 días seguidos' },
+      streak_30: { title: 'Racha de 30 días', description: 'Cumple tu meta 30 días seguidos' },
+      volume_10: { title: 'Primeros 10 litros', description: 'Bebe {volume} en total' },
+      volume_100: { title: 'Centenario', description: 'Bebe {volume} en total' },
+      volume_1000: { title: 'Embalse', description: 'Bebe {volume} en total' },
+      early_bird: { title: 'Madrugador', description: 'Alcanza tu meta antes del mediodía' },
+      early_bird_10: { title: 'Patrulla del alba', description: 'Alcanza tu meta antes del mediodía 10 días' },
+      perfect_week: { title: 'Semana perfecta', description: 'Cumple tu meta todos los días de una semana' },
+      variety: { title: 'Coctelero', description: 'Registra 5 bebidas distintas' },
+      overachiever: { title: 'Superación', description: 'Bebe el 120% de tu meta en un día' }
+    },
+    progress: {
+      days: { one: '{value}/{count} día', other: '{value}/{count} días' },
+      drinks: { one: '{value}/{count} bebida', other: '{value}/{count} bebidas' }
+    },
+    streak: { one: '🔥 Racha actual: {count} día', other: '🔥 Racha actual: {count} días' },
+    none: 'Aún no hay logros: ¡sigue así!',
+    locked: 'Bloqueados',
+    awesome: '¡Genial!'
+  },
+
+  theme: {
+    appearance: 'Apariencia',
+    accent: 'Color de acento',
+    modes: { system: 'Sistema', light: 'Claro', dark: 'Oscuro' },
+    accents: { ocean: 'Océano', lagoon: 'Laguna', forest: 'Bosque', orchid: 'Orquídea', sunset: 'Atardecer', custom: 'Color personalizado' },
+    customPlaceholder: 'Color personalizado (#RRGGBB)',
+    invalidColor: 'Escribe el color como #RRGGBB, por ejemplo #d6336c',
+    apply: 'Aplicar',
+    highContrastNote: 'El alto contraste usa sus propios colores mientras está activado.'
+  },
+
+  time: {
+    wakeTime: 'Despertar',
+    bedTime: 'Acostarse',
+    notSet: 'sin definir',
+    pickHint: 'Abre un selector de hora',
+    errors: {
+      empty: '{label}: escribe una hora',
+      format: '{label}: escribe la hora como HH:MM, por ejemplo 07:30',
+      hour: '{label}: la hora debe estar entre 0 y 23, o entre 1 y 12 con am/pm',
+      minute: '{label}: los minutos deben estar entre 00 y 59',
+      same: 'La hora de despertar y la de dormir no pueden coincidir',
+      shortDay: { one: 'Deja al menos {count} hora entre despertar y dormir', other: 'Deja al menos {count} horas entre despertar y dormir' },
+      shortNight: { one: 'Deja al menos {count} hora entre dormir y despertar', other: 'Deja al menos {count} horas entre dormir y despertar' }
+    }
+  },
+
+  dayStart: {
+    title: 'El día empieza a las',
+    wake: 'Al despertar ({time})',
+    fixed: 'Hora fija',
+    earlier: 'Una hora antes',
+    later: 'Una hora después',
+    help: 'Lo que bebas antes de las {time} cuenta para el día anterior. Las rachas, el historial y «Reiniciar hoy» también lo siguen.'
+  },
+
+  sync: {
+    title: '☁️ Sincronización',
+    help: 'Mantiene perfiles, ajustes y registros iguales en todos tus dispositivos mediante un servidor propio. Lo que cambies sin conexión se envía cuando vuelva a estar disponible.',
+    url: 'URL del servidor',
+    token: 'Token de acceso (opcional)',
+    enabled: 'Sincronizar este dispositivo',
+    syncNow: '🔄 Sincronizar ahora',
+    getProfiles: 'Traer perfiles del servidor',
+    invalidUrl: 'Escribe la dirección del servidor, empezando por http:// o https://',
+    off: 'La sincronización está desactivada.',
+    running: 'Sincronizando…',
+    notYet: 'Todavía no se ha sincronizado.',
+    synced: 'Sincronizado a las {time}.',
+    offline: {
+      one: 'No se pudo conectar con el servidor ({message}). Hay {count} cambio pendiente.',
+      other: 'No se pudo conectar con el servidor ({message}). Hay {count} cambios pendientes.'
+    },
+    failed: 'No se pudo conectar con el servidor: {message}',
+    profilesAdded: { one: 'Se añadió {count} perfil del servidor.', other: 'Se añadieron {count} perfiles del servidor.' },
+    noNewProfiles: 'El servidor no tiene perfiles que no estén ya en este dispositivo.',
+    restoreLink: '¿Ya usas HydrateMate en otro dispositivo? Sincronízalo aquí'
+  },
+
+  validation: {
+    title: 'Revisa estos datos',
+    name: 'Escribe un nombre',
+    weight: 'El peso debe ser un número entre {min} y {max}',
+    age: 'La edad debe ser un número entero entre {min} y {max}'
+  },
+
+  a11y: {
+    close: 'Cerrar',
+    profileButton: 'Perfil: {name}',
+    profileHint: 'Cambia a otro perfil o añade uno',
+    drinkEntry: '{time}, {drink}, {amount}',
+    drinkEntryHint: 'Edita esta bebida. Desliza a la izquierda o usa el menú de acciones para borrarla.',
+    remove: 'Quitar {name}',
+    moveUp: 'Subir {name}',
+    moveDown: 'Bajar {name}',
+    iconOption: 'Icono {index} de {count}',
+    previousMonth: 'Mes anterior',
+    nextMonth: 'Mes siguiente',
+    heatmapDay: '{date}, {percent}% del objetivo',
+    openDayHint: 'Muestra las bebidas registradas ese día',
+    goalMet: 'objetivo cumplido',
+    workoutLogged: 'entrenamiento registrado',
+    progress: 'Progreso de hoy',
+    progressValue: '{intake} de {goal}',
+    quickAddHint: 'Registra esta bebida al momento',
+    addHint: 'Registra la cantidad escrita arriba',
+    paceChart: 'Gráfico de ritmo, de {start} a {end}. {intake} hasta ahora, {ideal} previstos a esta hora.',
+    historyChart: 'Gráfico de {series} frente a tu objetivo: {points}',
+    chartPoint: '{label}: {intake}, objetivo {goal}',
+    unlocked: 'Desbloqueado el {date}',
+    resetTodayHint: 'Borra todas las bebidas registradas hoy',
+    clearHint: 'Pide confirmación antes de borrar nada'
+  }
+};
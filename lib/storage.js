@@ -0,0 +1,283 @@
+// lib/storage.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import dayjs from 'dayjs';
+
+// -------------------- Keys --------------------
+export const STORAGE_KEYS = {
+  PROFILES: 'HM_profiles_v4', // { activeId, profiles: [{ id, name }] }
+  USER: 'HM_userData_v2',
+  INTAKE_LOG: 'HM_intakeLog_v2', // legacy { date, intake } day totals, migrated into ENTRIES
+  ENTRIES: 'HM_intakeEntries_v3',
+  DAILY_GOALS: 'HM_dailyGoals_v3', // { 'YYYY-MM-DD': goal in effect that day }
+  ACHIEVEMENTS: 'HM_achievements_v3', // { [achievementId]: ISO date unlocked }
+  WORKOUTS: 'HM_workouts_v4',
+  WEATHER: 'HM_weather_v4', // { 'YYYY-MM-DD': conditions and the adjustment applied that day }
+  SETTINGS: 'HM_settings_v2',
+  NOTIF_IDS: 'HM_notif_ids_v2',
+  HANDLED_ACTIONS: 'HM_handledNotifActions_v3',
+  SYNC: 'HM_sync_v4', // this device's sync endpoint, see lib/sync.js
+  SYNC_QUEUE: 'HM_syncQueue_v4', // change records waiting to be sent
+  SYNC_STATE: 'HM_syncState_v4' // { cursor, generation, seededAt, lastSyncAt }
+};
+
+// Keys that hold one profile's data. They are stored as `<key>::<profileId>`.
+export const PROFILE_SCOPED_KEYS = [
+  STORAGE_KEYS.USER, STORAGE_KEYS.ENTRIES, STORAGE_KEYS.DAILY_GOALS,
+  STORAGE_KEYS.ACHIEVEMENTS, STORAGE_KEYS.SETTINGS, STORAGE_KEYS.NOTIF_IDS, STORAGE_KEYS.WORKOUTS,
+  STORAGE_KEYS.WEATHER, STORAGE_KEYS.SYNC_QUEUE, STORAGE_KEYS.SYNC_STATE
+];
+
+export function profileKey(key, profileId) { return `${key}::${profileId}`; }
+
+// only the profile migrated from a single-profile install has this id; new ones get their own
+const DEFAULT_PROFILE_ID = 'default';
+const SCHEMA_VERSION_KEY = 'HM_schemaVersion';
+const RECOVERY_KEY = 'HM_recovery';
+const CORRUPT_PREFIX = 'HM_corrupt_';
+
+// the very first release stored everything without a version suffix
+const LEGACY_V1_KEYS = {
+  USER: 'HM_userData',
+  INTAKE_LOG: 'HM_intakeLog',
+  SETTINGS: 'HM_settings'
+};
+
+// -------------------- Problem reporting --------------------
+// Read/write failures are collected here and shown to the user by the app, not swallowed.
+let problems = [];
+
+function reportProblem(problem) {
+  console.warn('storage problem', problem);
+  problems.push({ ...problem, at: new Date().toISOString() });
+}
+
+/** Returns and clears the problems collected since the last call. */
+export function takeStorageProblems() {
+  const taken = problems;
+  problems = [];
+  return taken;
+}
+
+// -------------------- JSON access --------------------
+/**
+ * loadJson(key, fallback)
+ * Missing keys give `fallback`. A value that can't be parsed also gives `fallback`, but the
+ * raw text is kept under HM_corrupt_<key> and reported through takeStorageProblems().
+ */
+export async function loadJson(key, fallback) {
+  let raw;
+  try { raw = await AsyncStorage.getItem(key); }
+  catch (e) { reportProblem({ type: 'read', key, message: String(e.message || e) }); return fallback; }
+  if (raw == null) return fallback;
+  try { return JSON.parse(raw); }
+  catch (e) {
+    await setAside(key, raw, e);
+    return fallback;
+  }
+}
+
+// keeps unparseable text under HM_corrupt_<key> and reports it
+async function setAside(key, raw, error) {
+  reportProblem({ type: 'corrupt', key, message: String(error.message || error) });
+  try { await AsyncStorage.setItem(`${CORRUPT_PREFIX}${key}`, raw); } catch (err) { /* already reported */ }
+}
+
+export async function saveJson(key, val) {
+  try { await AsyncStorage.setItem(key, JSON.stringify(val)); }
+  catch (e) { reportProblem({ type: 'write', key, message: String(e.message || e) }); }
+}
+
+// -------------------- Profiles --------------------
+// unique per install too, so profiles from two devices never meet under one id on a sync server
+function makeProfileId() { return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`; }
+
+export async function loadProfiles() {
+  const index = await loadJson(STORAGE_KEYS.PROFILES, null);
+  if (index && Array.isArray(index.profiles)) return index;
+  const fresh = { activeId: makeProfileId(), profiles: [] };
+  await saveJson(STORAGE_KEYS.PROFILES, fresh);
+  return fresh;
+}
+
+/**
+ * retireDefaultProfileId()
+ * Every install that was upgraded from a single profile has a profile with the id 'default',
+ * so before it is synced it moves to an id of its own. Its sync queue and position are
+ * dropped, so it is uploaded whole under the new id. Resolves to { from, to }, or null when
+ * there was nothing to move.
+ */
+export async function retireDefaultProfileId() {
+  const index = await loadProfiles();
+  if (index.activeId !== DEFAULT_PROFILE_ID && !index.profiles.some(p => p.id === DEFAULT_PROFILE_ID)) return null;
+  const id = makeProfileId();
+  for (const key of PROFILE_SCOPED_KEYS) {
+    const from = profileKey(key, DEFAULT_PROFILE_ID);
+    const value = await AsyncStorage.getItem(from);
+    if (value == null) continue;
+    if (key !== STORAGE_KEYS.SYNC_QUEUE && key !== STORAGE_KEYS.SYNC_STATE) await AsyncStorage.setItem(profileKey(key, id), value);
+    await AsyncStorage.removeItem(from);
+  }
+  const swap = (pid) => (pid === DEFAULT_PROFILE_ID ? id : pid);
+  await saveJson(STORAGE_KEYS.PROFILES, { activeId: swap(index.activeId), profiles: index.profiles.map(p => ({ ...p, id: swap(p.id) })) });
+  return { from: DEFAULT_PROFILE_ID, to: id };
+}
+
+/** Removes everything stored for one profile. */
+export async function deleteProfileData(profileId) {
+  await AsyncStorage.multiRemove(PROFILE_SCOPED_KEYS.map(k => profileKey(k, profileId)));
+}
+
+// -------------------- Recovery slot --------------------
+async function appKeys() {
+  const keys = await AsyncStorage.getAllKeys();
+  return keys.filter(k => k.startsWith('HM_') && k !== RECOVERY_KEY && !k.startsWith(CORRUPT_PREFIX));
+}
+
+/** Copies every app key, raw, into the single recovery slot. */
+async function writeRecoverySlot(version) {
+  const pairs = await AsyncStorage.multiGet(await appKeys());
+  const items = {};
+  pairs.forEach(([k, v]) => { if (v != null) items[k] = v; });
+  await AsyncStorage.setItem(RECOVERY_KEY, JSON.stringify({ version, createdAt: new Date().toISOString(), items }));
+}
+
+/** { version, createdAt } of the recovery slot, or null when there is none. */
+export async function getRecoveryInfo() {
+  const slot = await loadJson(RECOVERY_KEY, null);
+  return slot ? { version: slot.version, createdAt: slot.createdAt } : null;
+}
+
+/** Puts every app key back the way it was when the recovery slot was written. */
+export async function restoreRecoverySlot() {
+  const slot = await loadJson(RECOVERY_KEY, null);
+  if (!slot || !slot.items) return false;
+  await AsyncStorage.multiRemove(await appKeys());
+  await AsyncStorage.multiSet(Object.entries(slot.items));
+  return true;
+}
+
+// -------------------- Migrations --------------------
+/**
+ * readForMigration(key, fallback)
+ * Like loadJson, except that a value that can't be parsed is moved out of the way (not just
+ * copied), so the migration carries on without it instead of failing on every start. A failed
+ * read still throws: the migration is then undone and tried again next time.
+ */
+async function readForMigration(key, fallback) {
+  const raw = await AsyncStorage.getItem(key);
+  if (raw == null) return fallback;
+  try { return JSON.parse(raw); }
+  catch (e) {
+    await setAside(key, raw, e);
+    await AsyncStorage.removeItem(key);
+    return fallback;
+  }
+}
+
+async function copyIfMissing(from, to) {
+  const [[, target], [, source]] = await AsyncStorage.multiGet([to, from]);
+  if (target == null && source != null) await AsyncStorage.setItem(to, source);
+}
+
+/**
+ * Ordered migrations; `to` is the schema version the store is at once `run` has finished.
+ * Each one must be safe to run on a store that already has the newer data.
+ */
+const MIGRATIONS = [
+  {
+    to: 2,
+    description: 'Import v1 keys',
+    run: async () => {
+      await copyIfMissing(LEGACY_V1_KEYS.USER, STORAGE_KEYS.USER);
+      await copyIfMissing(LEGACY_V1_KEYS.INTAKE_LOG, STORAGE_KEYS.INTAKE_LOG);
+      await copyIfMissing(LEGACY_V1_KEYS.SETTINGS, STORAGE_KEYS.SETTINGS);
+    }
+  },
+  {
+    to: 3,
+    description: 'Split day totals into drink entries',
+    run: async () => {
+      if ((await AsyncStorage.getItem(STORAGE_KEYS.ENTRIES)) != null) return;
+      const legacy = await readForMigration(STORAGE_KEYS.INTAKE_LOG, []);
+      // one entry per day, stamped at noon; ids are derived from the date so re-running can't duplicate
+      const entries = (Array.isArray(legacy) ? legacy : [])
+        .filter(r => r && r.date && r.intake > 0)
+        .map(r => ({
+          id: `migrated-${r.date}`,
+          timestamp: dayjs(r.date).hour(12).minute(0).second(0).millisecond(0).toISOString(),
+          amount: r.intake,
+          hydration: r.intake,
+          beverage: 'water',
+          source: 'migrated'
+        }));
+      await AsyncStorage.setItem(STORAGE_KEYS.ENTRIES, JSON.stringify(entries));
+    }
+  },
+  {
+    to: 4,
+    description: 'Move data into the first profile',
+    run: async () => {
+      if ((await AsyncStorage.getItem(STORAGE_KEYS.PROFILES)) != null) return;
+      const values = await AsyncStorage.multiGet(PROFILE_SCOPED_KEYS);
+      // only data from a single-profile install keeps the legacy id; a fresh install's first profile gets
+      // its own (the empty log migration 3 leaves behind doesn't count as data)
+      const legacy = values.some(([key, value]) => value != null && !(key === STORAGE_KEYS.ENTRIES && value === '[]'));
+      const id = legacy ? DEFAULT_PROFILE_ID : makeProfileId();
+      for (const [key, value] of values) {
+        if (value == null) continue;
+        await AsyncStorage.setItem(profileKey(key, id), value);
+        await AsyncStorage.removeItem(key);
+      }
+      const user = await readForMigration(profileKey(STORAGE_KEYS.USER, id), null);
+      const profiles = user && user.name ? [{ id, name: user.name }] : [];
+      await AsyncStorage.setItem(STORAGE_KEYS.PROFILES, JSON.stringify({ activeId: id, profiles }));
+    }
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].to;
+
+async function migrate() {
+  const stored = await AsyncStorage.getItem(SCHEMA_VERSION_KEY);
+  let version = stored == null ? 1 : Number(stored);
+  if (!(version >= 1)) {
+    reportProblem({ type: 'corrupt', key: SCHEMA_VERSION_KEY, message: `Unknown schema version "${stored}"` });
+    return { ok: false, version: null };
+  }
+  if (version > SCHEMA_VERSION) {
+    reportProblem({ type: 'newer', key: SCHEMA_VERSION_KEY, message: `Data was written by a newer version of the app (v${version})` });
+    return { ok: false, version };
+  }
+
+  const pending = MIGRATIONS.filter(step => step.to > version);
+  for (const m of pending) {
+    try {
+      await writeRecoverySlot(version);
+      await m.run();
+      await AsyncStorage.setItem(SCHEMA_VERSION_KEY, String(m.to));
+      version = m.to;
+    } catch (e) {
+      reportProblem({ type: 'migration', key: SCHEMA_VERSION_KEY, message: `${m.description} failed: ${e.message || e}` });
+      try { await restoreRecoverySlot(); } catch (err) { /* already reported */ }
+      return { ok: false, version };
+    }
+  }
+  // the copy is only there to undo a failed upgrade; kept any longer it could only roll data back
+  if (pending.length) {
+    try { await AsyncStorage.removeItem(RECOVERY_KEY); }
+    catch (e) { reportProblem({ type: 'write', key: RECOVERY_KEY, message: String(e.message || e) }); }
+  }
+  return { ok: true, version };
+}
+
+let migrating = null;
+
+/**
+ * runMigrations()
+ * Brings stored data up to SCHEMA_VERSION. Safe to call from several places (app start,
+ * background tasks); they all wait on the same run. Resolves to { ok, version }.
+ */
+export function runMigrations() {
+  if (!migrating) migrating = migrate().finally(() => { migrating = null; });
+  return migrating;
+}
@@ -0,0 +1,230 @@
+// lib/sync.js
+// Optional sync through a REST endpoint the user runs themselves; server/sync-server.js is a
+// reference server for trying it locally.
+//
+// It is offline-first. Local changes go into a per-profile queue as change records
+//
+//   { kind, id, value, deleted, updatedAt, deviceId }
+//
+// where `kind` is a key of SYNCED_KINDS. Every drink, workout and day goal is a record of its
+// own (id = the item's id or date); the profile and settings are one record each (id = kind).
+// A sync run posts the queue and gets back what other devices changed since the last run:
+//
+//   POST {url}/profiles/{profileId}/sync   { deviceId, since, changes } → { cursor, generation, changes }
+//   GET  {url}/profiles                    → [{ id, name }]
+//
+// Conflicts are settled record by record: the newest updatedAt wins, ties go to the higher
+// deviceId, and a deletion is a record too, so it beats older copies of what it deleted.
+// `generation` names the server's store; a new one means the server started over, so the
+// device uploads everything again.
+import { STORAGE_KEYS, loadJson, saveJson, profileKey } from './storage';
+
+// how each synced part of a profile is split into records
+const SYNCED_KINDS = { user: 'document', settings: 'document', entries: 'list', workouts: 'list', dailyGoals: 'map' };
+const EMPTY_DATA = { user: null, settings: null, entries: [], workouts: [], dailyGoals: {} };
+
+// what a profile already had before sync was switched on is uploaded as if it were the oldest
+// version of everything, so it fills gaps on the server without overwriting anything there
+const SEED_TIME = new Date(0).toISOString();
+const REQUEST_TIMEOUT_MS = 15000;
+
+export const DEFAULT_SYNC_CONFIG = { enabled: false, url: '', token: '', deviceId: null, enabledAt: null };
+
+// -------------------- Config --------------------
+// One endpoint per device, shared by all its profiles.
+export function normalizeUrl(url) { return String(url || '').trim().replace(/\/+$/, ''); }
+
+export function isSyncUrl(url) { return /^https?:\/\/\S+$/i.test(normalizeUrl(url)); }
+
+export async function loadSyncConfig() {
+  return { ...DEFAULT_SYNC_CONFIG, ...(await loadJson(STORAGE_KEYS.SYNC, {})) };
+}
+
+/**
+ * saveSyncConfig(patch)
+ * Updates the stored config and resolves to it. The first save gives the device its id, and
+ * each time sync is switched on every profile uploads what it has again.
+ */
+export async function saveSyncConfig(patch) {
+  const previous = await loadSyncConfig();
+  const next = { ...previous, ...patch, url: normalizeUrl(patch.url ?? previous.url) };
+  if (!next.deviceId) next.deviceId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+  if (next.enabled && !previous.enabled) next.enabledAt = new Date().toISOString();
+  await saveJson(STORAGE_KEYS.SYNC, next);
+  return next;
+}
+
+// -------------------- Change records --------------------
+function changeKey(change) { return `${change.kind}:${change.id}`; }
+
+function isNewer(a, b) {
+  return a.updatedAt > b.updatedAt || (a.updatedAt === b.updatedAt && String(a.deviceId) > String(b.deviceId));
+}
+
+function recordsOf(kind, value) {
+  const shape = SYNCED_KINDS[kind];
+  if (shape === 'document') return value ? { [kind]: value } : {};
+  if (shape === 'list') return Object.fromEntries((value || []).map(item => [item.id, item]));
+  return { ...(value || {}) };
+}
+
+function fromRecords(kind, records) {
+  const shape = SYNCED_KINDS[kind];
+  if (shape === 'document') return records[kind] ?? null;
+  if (shape === 'list') return Object.values(records);
+  return records;
+}
+
+/**
+ * diffChanges(prev, next, updatedAt)
+ * Change records for everything that differs between two snapshots of a profile's data
+ * ({ user, settings, entries, workouts, dailyGoals }). Kinds missing from either side are
+ * skipped, and the profile and settings are never deleted, only replaced.
+ */
+export function diffChanges(prev, next, updatedAt = new Date().toISOString()) {
+  const changes = [];
+  for (const kind of Object.keys(SYNCED_KINDS)) {
+    if (!(kind in prev) || !(kind in next) || prev[kind] === next[kind]) continue;
+    const before = recordsOf(kind, prev[kind]);
+    const after = recordsOf(kind, next[kind]);
+    for (const [id, value] of Object.entries(after)) {
+      if (JSON.stringify(value) !== JSON.stringify(before[id])) changes.push({ kind, id, value, deleted: false, updatedAt });
+    }
+    if (SYNCED_KINDS[kind] === 'document') continue;
+    for (const id of Object.keys(before)) {
+      if (!(id in after)) changes.push({ kind, id, value: null, deleted: true, updatedAt });
+    }
+  }
+  return changes;
+}
+
+/**
+ * applyChanges(data, changes)
+ * `data` with change records from other devices applied. Kinds no record touched keep their
+ * identity, so the caller can tell which parts to update.
+ */
+export function applyChanges(data, changes) {
+  const next = { ...data };
+  for (const kind of Object.keys(SYNCED_KINDS)) {
+    const incoming = changes.filter(c => c.kind === kind);
+    if (!incoming.length) continue;
+    const records = recordsOf(kind, data[kind]);
+    incoming.forEach(c => {
+      if (c.deleted) delete records[c.id];
+      else records[c.id] = c.value;
+    });
+    next[kind] = fromRecords(kind, records);
+  }
+  return next;
+}
+
+// the newest change per record; older ones for the same record have nothing left to say
+function coalesce(changes) {
+  const latest = new Map();
+  changes.forEach(c => {
+    const key = changeKey(c);
+    if (!latest.has(key) || isNewer(c, latest.get(key))) latest.set(key, c);
+  });
+  return [...latest.values()];
+}
+
+// -------------------- Queue --------------------
+// Queue reads and writes are chained, so a change logged while a sync run is out waits for
+// it instead of being cleared along with the changes that run sent.
+let queueLock = Promise.resolve();
+
+function withQueue(fn) {
+  const run = queueLock.then(fn);
+  queueLock = run.catch(() => {});
+  return run;
+}
+
+function queueKey(profileId) { return profileKey(STORAGE_KEYS.SYNC_QUEUE, profileId); }
+
+/**
+ * queueChanges(profileId, changes)
+ * Adds local changes to the profile's outgoing queue, stamped with this device's id. Does
+ * nothing while sync is off. Resolves to the number of changes waiting.
+ */
+export function queueChanges(profileId, changes) {
+  return withQueue(async () => {
+    const queue = await loadJson(queueKey(profileId), []);
+    const config = await loadSyncConfig();
+    if (!config.enabled || !changes.length) return queue.length;
+    const next = coalesce([...queue, ...changes.map(c => ({ ...c, deviceId: config.deviceId }))]);
+    await saveJson(queueKey(profileId), next);
+    return next.length;
+  });
+}
+
+export async function pendingChanges(profileId) {
+  return (await loadJson(queueKey(profileId), [])).length;
+}
+
+// -------------------- Server --------------------
+async function request(config, path, options = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const res = await fetch(`${normalizeUrl(config.url)}${path}`, {
+      ...options,
+      signal: controller.signal,
+      headers: { 'Content-Type': 'application/json', ...(config.token ? { Authorization: `Bearer ${config.token}` } : {}) }
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return await res.json();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// one request; resolves to { reset: true } instead when the server is behind what we last saw
+async function syncOnce(profileId, config, data) {
+  const stateKey = profileKey(STORAGE_KEYS.SYNC_STATE, profileId);
+  const state = await loadJson(stateKey, {});
+  let queue = await loadJson(queueKey(profileId), []);
+  // a profile still in onboarding only has default settings, which must not win over real ones
+  if (data.user && (!state.seededAt || state.seededAt < config.enabledAt)) {
+    const seed = diffChanges(EMPTY_DATA, data, SEED_TIME).map(c => ({ ...c, deviceId: config.deviceId }));
+    queue = coalesce([...seed, ...queue]);
+    await saveJson(queueKey(profileId), queue);
+    await saveJson(stateKey, { ...state, seededAt: new Date().toISOString() });
+  }
+
+  const since = state.cursor || 0;
+  const body = await request(config, `/profiles/${encodeURIComponent(profileId)}/sync`, {
+    method: 'POST',
+    body: JSON.stringify({ deviceId: config.deviceId, since, changes: queue })
+  });
+  if (!body || !Array.isArray(body.changes) || !(body.cursor >= 0)) throw new Error('Unexpected response from the server');
+
+  // the server was wiped or restored from an older copy: forget where we were and upload everything again
+  if (body.cursor < since || (state.generation && body.generation !== state.generation)) {
+    await saveJson(stateKey, { ...(await loadJson(stateKey, {})), cursor: 0, seededAt: null, generation: null });
+    return { reset: true };
+  }
+  await saveJson(queueKey(profileId), []);
+  await saveJson(stateKey, { ...(await loadJson(stateKey, {})), cursor: body.cursor, generation: body.generation ?? null, lastSyncAt: new Date().toISOString() });
+  return { changes: body.changes.filter(c => c && SYNCED_KINDS[c.kind] && typeof c.id === 'string') };
+}
+
+/**
+ * syncProfile(profileId, config, data)
+ * One sync run: posts the profile's queue (led, the first time since sync was switched on, by
+ * everything in `data` once it has a profile) and resolves to the change records other
+ * devices made since the last run. Records are only checked for their kind and id; what they
+ * hold is for the caller to check. Throws when the server can't be reached or answers with an
+ * error; the queue is then kept for the next run.
+ */
+export function syncProfile(profileId, config, data) {
+  return withQueue(async () => {
+    const result = await syncOnce(profileId, config, data);
+    return result.reset ? (await syncOnce(profileId, config, data)).changes || [] : result.changes;
+  });
+}
+
+/** The profiles the server has, as [{ id, name }]. */
+export async function listRemoteProfiles(config) {
+  const body = await request(config, '/profiles');
+  return (Array.isArray(body) ? body : []).filter(p => p && typeof p.id === 'string');
+}
@@ -0,0 +1,208 @@
+// lib/theme.js
+// Palettes for the app's light and dark appearance. A theme is built from two layers: the
+// neutral colours for the appearance (background, text, borders) and an accent palette that
+// supplies everything drawn in the brand colour. Accents other than the hand-tuned ocean one
+// are derived from a single colour, nudged lighter or darker until text on them stays readable.
+import { t } from './i18n';
+
+// 'system' follows the device's appearance
+export const THEME_MODES = [
+  { id: 'system', get label() { return t('theme.modes.system'); } },
+  { id: 'light', get label() { return t('theme.modes.light'); } },
+  { id: 'dark', get label() { return t('theme.modes.dark'); } }
+];
+
+export const ACCENTS = [
+  {
+    id: 'ocean',
+    get label() { return t('theme.accents.ocean'); },
+    color: '#0077b6',
+    light: {
+      primary: '#0077b6', accent: '#00b4d8', inverseAccent: '#00b4d8', wave: '#00bfff', topbar: '#05668d',
+      gradientLight: ['#e0f7ff', '#cfeefd'], gradientPrimary: ['#00b4d8', '#0077b6']
+    },
+    dark: {
+      primary: '#5dd6ff', accent: '#4fb6d9', inverseAccent: '#4fb6d9', wave: '#2bb7ff', topbar: '#7ad0ff',
+      gradientLight: ['#042033', '#063142'], gradientPrimary: ['#036b8f', '#024b6a']
+    }
+  },
+  { id: 'lagoon', get label() { return t('theme.accents.lagoon'); }, color: '#0f9d8a' },
+  { id: 'forest', get label() { return t('theme.accents.forest'); }, color: '#2e7d32' },
+  { id: 'orchid', get label() { return t('theme.accents.orchid'); }, color: '#8e44ad' },
+  { id: 'sunset', get label() { return t('theme.accents.sunset'); }, color: '#e8590c' }
+];
+
+export const DEFAULT_ACCENT = 'ocean';
+export const DEFAULT_CUSTOM_ACCENT = '#d6336c';
+
+const NEUTRALS = {
+  light: {
+    background: '#f6fbff',
+    surface: '#ffffff',
+    card: 'rgba(255,255,255,0.95)',
+    text: '#083344',
+    subtext: '#666666',
+    border: '#e6f0f4',
+    inputBg: '#ffffff',
+    danger: '#c62828',
+    statusBarStyle: 'dark-content'
+  },
+  dark: {
+    background: '#071023',
+    surface: '#0b1220',
+    card: '#0f1724',
+    text: '#e6f7ff',
+    subtext: '#a9c7d7',
+    border: '#122033',
+    inputBg: '#071323',
+    danger: '#ff8a80',
+    statusBarStyle: 'light-content'
+  }
+};
+
+// plain black and white surfaces, with text, borders and the primary colour all at 7:1 or more.
+// These ignore the accent: the point is the contrast, not the brand colour.
+const HIGH_CONTRAST = {
+  light: {
+    background: '#ffffff',
+    surface: '#ffffff',
+    card: '#ffffff',
+    primary: '#004a75',
+    accent: '#005a8c',
+    inverseAccent: '#8fe3ff',
+    danger: '#a00000',
+    text: '#000000',
+    subtext: '#1f1f1f',
+    border: '#3d3d3d',
+    inputBg: '#ffffff',
+    wave: '#0058a3',
+    topbar: '#002b45',
+    statusBarStyle: 'dark-content',
+    gradientLight: ['#ffffff', '#ffffff'],
+    gradientPrimary: ['#004a75', '#003554']
+  },
+  dark: {
+    background: '#000000',
+    surface: '#000000',
+    card: '#0a0a0a',
+    primary: '#8fe3ff',
+    accent: '#ffd60a',
+    inverseAccent: '#004a75',
+    danger: '#ff8a80',
+    text: '#ffffff',
+    subtext: '#e0e0e0',
+    border: '#bdbdbd',
+    inputBg: '#000000',
+    wave: '#4cc9ff',
+    topbar: '#ffffff',
+    statusBarStyle: 'light-content',
+    gradientLight: ['#000000', '#000000'],
+    gradientPrimary: ['#005a8c', '#003a5c']
+  }
+};
+
+// -------------------- Colour helpers --------------------
+const HEX_PATTERN = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+export function isHexColor(value) { return HEX_PATTERN.test(String(value || '').trim()); }
+
+/** '#abc', 'ABC' or '#aabbcc' → '#aabbcc'; anything else → null. */
+export function normalizeHex(value) {
+  const m = HEX_PATTERN.exec(String(value || '').trim());
+  if (!m) return null;
+  const h = m[1].length === 3 ? m[1].split('').map(c => c + c).join('') : m[1];
+  return `#${h.toLowerCase()}`;
+}
+
+function toRgb(hex) {
+  const h = normalizeHex(hex).slice(1);
+  return [0, 2, 4].map(i => parseInt(h.substring(i, i + 2), 16));
+}
+
+function toHex(rgb) { return `#${rgb.map(v => Math.round(v).toString(16).padStart(2, '0')).join('')}`; }
+
+export function hexToRgba(hex, opacity) {
+  const [r, g, b] = toRgb(hex);
+  return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+}
+
+// `amount` of the way from `a` to `b`
+function mix(a, b, amount) {
+  const from = toRgb(a);
+  const to = toRgb(b);
+  return toHex(from.map((v, i) => v + (to[i] - v) * amount));
+}
+
+function luminance(hex) {
+  const [r, g, b] = toRgb(hex).map(v => {
+    const c = v / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/** WCAG contrast ratio between two colours, 1 to 21. */
+export function contrastRatio(a, b) {
+  const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+/**
+ * withContrast(color, against, ratio)
+ * `color`, moved towards white on dark backgrounds or black on light ones until it reaches
+ * `ratio` against `against`.
+ */
+function withContrast(color, against, ratio) {
+  const target = luminance(against) < 0.5 ? '#ffffff' : '#000000';
+  let result = color;
+  for (let step = 1; step <= 10 && contrastRatio(result, against) < ratio; step++) result = mix(color, target, step / 10);
+  return result;
+}
+
+// black or white, whichever reads better on `background`
+function textOn(background) {
+  return contrastRatio(background, '#ffffff') >= contrastRatio(background, '#000000') ? '#ffffff' : '#000000';
+}
+
+function derivedAccent(color, neutrals) {
+  const solid = withContrast(color, '#ffffff', 4.5); // buttons keep white labels
+  return {
+    primary: withContrast(color, neutrals.background, 4.5),
+    accent: withContrast(color, neutrals.background, 3),
+    inverseAccent: withContrast(color, neutrals.text, 4.5),
+    wave: withContrast(color, neutrals.background, 3),
+    topbar: withContrast(color, neutrals.background, 7),
+    gradientLight: [mix(neutrals.background, color, 0.08), mix(neutrals.background, color, 0.16)],
+    gradientPrimary: [solid, mix(solid, '#000000', 0.25)]
+  };
+}
+
+// -------------------- Themes --------------------
+/**
+ * makeTheme(isDark, { accent, customAccent, highContrast })
+ * The colours every screen draws with. `accent` is an ACCENTS id or 'custom', which uses
+ * `customAccent` (#rrggbb). Besides the palette colours, a theme has onPrimary / onDanger for
+ * text drawn on those colours, primaryTint / dangerTint for soft button backgrounds, and
+ * inverseAccent for accents on a text-coloured background (the snackbar).
+ */
+export function makeTheme(isDark, { accent = DEFAULT_ACCENT, customAccent, highContrast = false } = {}) {
+  const appearance = isDark ? 'dark' : 'light';
+  let palette;
+  if (highContrast) {
+    palette = HIGH_CONTRAST[appearance];
+  } else {
+    const neutrals = NEUTRALS[appearance];
+    const custom = accent === 'custom' ? normalizeHex(customAccent) : null;
+    const preset = custom ? null : ACCENTS.find(a => a.id === accent) || ACCENTS[0];
+    const colors = custom ? derivedAccent(custom, neutrals) : preset[appearance] || derivedAccent(preset.color, neutrals);
+    palette = { ...neutrals, ...colors };
+  }
+  return {
+    ...palette,
+    isDark,
+    onPrimary: textOn(palette.primary),
+    onDanger: textOn(palette.danger),
+    primaryTint: mix(palette.background, palette.primary, 0.15),
+    dangerTint: mix(palette.background, palette.danger, 0.15)
+  };
+}
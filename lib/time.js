@@ -0,0 +1,81 @@
+// lib/time.js
+// Times of day are stored as zero-padded 24-hour 'HH:MM' strings. Everything that reads one
+// goes through parseTime, so a bad value turns into a clear message (or a fallback) instead
+// of NaN minutes further down the line.
+import { t } from './i18n';
+
+const TIME_INPUT = /^(\d{1,2})(?:[:.](\d{1,2}))?(?:\s*([ap])\.?\s*m\.?)?$/i;
+
+export const MIN_AWAKE_HOURS = 4;
+export const MIN_SLEEP_HOURS = 3;
+
+/**
+ * parseTime(text)
+ * '7:30', '07:30', '19.05', '7pm' or '7:30 am' → { ok: true, value: '07:30', minutes: 450 }.
+ * Anything else → { ok: false, error } where error is 'empty', 'format', 'hour' or 'minute'.
+ */
+export function parseTime(text) {
+  const raw = String(text ?? '').trim();
+  if (!raw) return { ok: false, error: 'empty' };
+  const m = TIME_INPUT.exec(raw);
+  if (!m || (m[2] != null && m[2].length !== 2)) return { ok: false, error: 'format' };
+  let hour = Number(m[1]);
+  const minute = m[2] == null ? 0 : Number(m[2]);
+  if (m[3]) {
+    if (hour < 1 || hour > 12) return { ok: false, error: 'hour' };
+    hour = (hour % 12) + (m[3].toLowerCase() === 'p' ? 12 : 0);
+  }
+  if (hour > 23) return { ok: false, error: 'hour' };
+  if (minute > 59) return { ok: false, error: 'minute' };
+  const value = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+  return { ok: true, value, minutes: hour * 60 + minute };
+}
+
+/** The message for a failed parseTime, naming the field (`label`) it came from. */
+export function describeTimeError(error, label) {
+  return t(`time.errors.${error}`, { label });
+}
+
+/**
+ * minutesOfDay(text, fallback)
+ * Minutes after midnight for a stored time. Values that don't parse (data saved before times
+ * were validated) use `fallback`, which must be valid.
+ */
+export function minutesOfDay(text, fallback) {
+  const parsed = parseTime(text);
+  return parsed.ok ? parsed.minutes : parseTime(fallback).minutes;
+}
+
+/** A Date on `day` (default today) at the given 'HH:MM', for handing to a time picker. */
+export function timeToDate(text, day = new Date()) {
+  const date = new Date(day);
+  const minutes = minutesOfDay(text, '12:00');
+  date.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  return date;
+}
+
+/** 'HH:MM' of a Date. */
+export function timeOfDate(date) {
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * validateSchedule({ wakeTime, bedTime })
+ * Messages for everything wrong with a waking window, [] when it is usable. Bedtime may be
+ * after midnight, but the day has to leave at least MIN_AWAKE_HOURS awake and MIN_SLEEP_HOURS
+ * asleep.
+ */
+export function validateSchedule({ wakeTime, bedTime }) {
+  const wake = parseTime(wakeTime);
+  const bed = parseTime(bedTime);
+  const errors = [];
+  if (!wake.ok) errors.push(describeTimeError(wake.error, t('time.wakeTime')));
+  if (!bed.ok) errors.push(describeTimeError(bed.error, t('time.bedTime')));
+  if (errors.length) return errors;
+
+  const awake = (bed.minutes - wake.minutes + 24 * 60) % (24 * 60);
+  if (awake === 0) errors.push(t('time.errors.same'));
+  else if (awake < MIN_AWAKE_HOURS * 60) errors.push(t('time.errors.shortDay', { count: MIN_AWAKE_HOURS }));
+  else if (24 * 60 - awake < MIN_SLEEP_HOURS * 60) errors.push(t('time.errors.shortNight', { count: MIN_SLEEP_HOURS }));
+  return errors;
+}
@@ -0,0 +1,103 @@
+// lib/weather.js
+// Goal adjustment for hot or humid days. Conditions come from a provider, so real weather
+// APIs can be added later without touching the app:
+//
+//   provider = { id, name, getConditions(date) }
+//   getConditions('YYYY-MM-DD') → Promise<{ tempC, humidity, source } | null>
+//
+// `tempC` and `humidity` (percent) may each be null when the provider doesn't know them;
+// null conditions mean no adjustment for that day.
+
+// -------------------- Adjustment --------------------
+// Checked top to bottom; the first matching heat step applies.
+const HEAT_STEPS = [
+  { minTempC: 35, percent: 25 },
+  { minTempC: 30, percent: 15 },
+  { minTempC: 25, percent: 10 }
+];
+const HUMID_MIN = 70;
+const HUMID_PERCENT = 5;
+
+/**
+ * weatherAdjustment(conditions)
+ * Returns { percent, reasons } where percent is the extra share of the base goal and
+ * reasons are [{ type: 'heat' | 'humidity', value, percent }] for explaining it.
+ */
+export function weatherAdjustment(conditions) {
+  const reasons = [];
+  if (!conditions) return { percent: 0, reasons };
+  const heat = conditions.tempC == null ? null : HEAT_STEPS.find(s => conditions.tempC >= s.minTempC);
+  if (heat) reasons.push({ type: 'heat', value: conditions.tempC, percent: heat.percent });
+  if (conditions.humidity != null && conditions.humidity >= HUMID_MIN) {
+    reasons.push({ type: 'humidity', value: conditions.humidity, percent: HUMID_PERCENT });
+  }
+  return { percent: reasons.reduce((sum, r) => sum + r.percent, 0), reasons };
+}
+
+// -------------------- Providers --------------------
+// what a "hot" or "humid" tick stands for, so manual days go through the same rules
+const MANUAL_HOT_C = 32;
+const MANUAL_HUMIDITY = 80;
+
+export function manualConditions(entry) {
+  if (!entry || (!entry.hot && !entry.humid)) return null;
+  return { tempC: entry.hot ? MANUAL_HOT_C : null, humidity: entry.humid ? MANUAL_HUMIDITY : null, source: 'manual' };
+}
+
+/**
+ * createManualProvider(getEntry)
+ * The user says whether a day is hot and/or humid. `getEntry(date)` gives { hot, humid } or null.
+ */
+export function createManualProvider(getEntry) {
+  return {
+    id: 'manual',
+    name: 'Manual',
+    getConditions: async (date) => manualConditions(getEntry(date))
+  };
+}
+
+function readingFor(readings, date) {
+  // a single reading applies to every day; otherwise readings are keyed by date
+  const r = readings && ('tempC' in readings || 'humidity' in readings) ? readings : readings?.[date];
+  if (!r) return null;
+  return { tempC: r.tempC ?? null, humidity: r.humidity ?? null };
+}
+
+/**
+ * createMockProvider(readings)
+ * Fixed conditions for testing: one { tempC, humidity } for every day, or a map of them by date.
+ */
+export function createMockProvider(readings) {
+  return {
+    id: 'mock',
+    name: 'Mock',
+    getConditions: async (date) => {
+      const r = readingFor(readings, date);
+      return r ? { ...r, source: 'mock' } : null;
+    }
+  };
+}
+
+/**
+ * createFileProvider(uri, readText)
+ * Reads readings from a JSON file in the same shape createMockProvider takes.
+ * `readText(uri)` is the platform's file reader and resolves to null when there is no file.
+ * A missing file gives null quietly (it is only there once the user adds it); an unreadable
+ * or invalid one gives null with a warning.
+ */
+export function createFileProvider(uri, readText) {
+  return {
+    id: 'file',
+    name: 'File',
+    getConditions: async (date) => {
+      let readings;
+      try {
+        const text = await readText(uri);
+        if (text == null) return null;
+        readings = JSON.parse(text);
+      } catch (e) { console.warn('weather file err', e); return null; }
+      const r = readingFor(readings, date);
+      return r ? { ...r, source: 'file' } : null;
+    }
+  };
+}
@@ -0,0 +1,129 @@
+// server/sync-server.js
+// Reference sync server for trying HydrateMate sync on a local network. It keeps everything in
+// one JSON file and has a single optional shared token, so it is for testing, not for hosting.
+//
+//   node server/sync-server.js
+//
+// PORT (default 8787), SYNC_DATA (default server/sync-data.json) and SYNC_TOKEN (optional
+// bearer token) come from the environment. In the app, set the sync URL to
+// http://<this computer's LAN address>:<PORT>. The protocol is described in lib/sync.js.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.SYNC_DATA || path.join(__dirname, 'sync-data.json');
+const TOKEN = process.env.SYNC_TOKEN || '';
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// { generation, profiles: { [profileId]: { seq, records: { 'kind:id': change record + its seq } } } }
+// `generation` is new with every fresh store, so devices can tell a wiped server from one they know
+function newGeneration() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+}
+
+let store = { generation: newGeneration(), profiles: {} };
+try {
+  store = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+} catch (e) {
+  if (e.code !== 'ENOENT') throw e;
+}
+if (!store.generation) store.generation = newGeneration();
+
+// written to a temporary file first so a crash can't leave half a store behind
+function save() {
+  fs.writeFileSync(`${DATA_FILE}.tmp`, JSON.stringify(store));
+  fs.renameSync(`${DATA_FILE}.tmp`, DATA_FILE);
+}
+
+// same rule as the app: newest updatedAt wins, ties go to the higher deviceId
+function isNewer(a, b) {
+  return a.updatedAt > b.updatedAt || (a.updatedAt === b.updatedAt && String(a.deviceId) > String(b.deviceId));
+}
+
+function isChange(c) {
+  return c && typeof c.kind === 'string' && typeof c.id === 'string' && typeof c.updatedAt === 'string' && typeof c.deviceId === 'string';
+}
+
+/**
+ * sync(profileId, { deviceId, since, changes })
+ * Merges a device's changes record by record and returns { cursor, generation, changes }: everything other
+ * devices changed after `since`, plus the current version of any record where the device's
+ * change lost, so it ends up with the winner either way.
+ */
+function sync(profileId, { deviceId, since = 0, changes = [] }) {
+  if (!store.profiles[profileId]) store.profiles[profileId] = { seq: 0, records: {} };
+  const profile = store.profiles[profileId];
+  const lost = [];
+  for (const change of changes.filter(isChange)) {
+    const key = `${change.kind}:${change.id}`;
+    const current = profile.records[key];
+    if (current && !isNewer(change, current)) { lost.push(current); continue; }
+    profile.seq += 1;
+    profile.records[key] = { ...change, seq: profile.seq };
+  }
+  const fresh = Object.values(profile.records).filter(r => r.seq > (Number(since) || 0) && r.deviceId !== deviceId);
+  const out = new Map([...fresh, ...lost].map(r => [`${r.kind}:${r.id}`, r]));
+  const records = [...out.values()].map(r => {
+    const record = { ...r };
+    delete record.seq; // internal to the store
+    return record;
+  });
+  return { cursor: profile.seq, generation: store.generation, changes: records };
+}
+
+function listProfiles() {
+  return Object.entries(store.profiles).map(([id, p]) => ({ id, name: p.records['user:user']?.value?.name || id }));
+}
+
+// -------------------- HTTP --------------------
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    // the web build talks to this from another origin
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) { reject(new Error('Request too large')); req.destroy(); return; }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}')); } catch (e) { reject(e); }
+    });
+    req.on('error', reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: 'Unauthorized' });
+
+  const url = new URL(req.url, 'http://localhost');
+  const syncPath = /^\/profiles\/([^/]+)\/sync$/.exec(url.pathname);
+  try {
+    if (req.method === 'GET' && url.pathname === '/profiles') return send(res, 200, listProfiles());
+    if (req.method === 'POST' && syncPath) {
+      const body = await readBody(req);
+      if (typeof body.deviceId !== 'string' || !Array.isArray(body.changes)) return send(res, 400, { error: 'Expected { deviceId, since, changes }' });
+      const result = sync(decodeURIComponent(syncPath[1]), body);
+      save();
+      return send(res, 200, result);
+    }
+    return send(res, 404, { error: 'Not found' });
+  } catch (e) {
+    console.warn('sync server err', e);
+    return send(res, 400, { error: String(e.message || e) });
+  }
+});
+
+server.listen(PORT, () => console.log(`HydrateMate sync server on http://localhost:${PORT} (data: ${DATA_FILE})`));